@@ -0,0 +1,243 @@
+// Boolean expressions and two-level minimisation for the synthesis panel
+// of gatev6.html: a parser for textbook notation, Quine–McCluskey with
+// don't-cares, and SOP/POS formatting of the result. Truth-table rows and
+// minterms number the first variable as the most significant bit.
+(function (root) {
+  'use strict';
+
+  // Boolean expressions use single-letter variables with optional digits
+  // (A, B, X1), so juxtaposition reads as AND the way textbooks write it:
+  // AB' + C is A·¬B ∨ C.
+  function parseExpression(text) {
+    const source = text.replace(/^\s*[A-Za-z]\w*\s*=(?!=)/, '');
+    const offset = text.length - source.length;
+    const tokens = [];
+    
+    for (let i = 0; i < source.length;) {
+      const ch = source[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      
+      const variable = /^[A-Za-z][0-9]*/.exec(source.slice(i));
+      if (variable) {
+        tokens.push({ kind: 'var', value: variable[0].toUpperCase(), pos: i });
+        i += variable[0].length;
+      } else if (ch === '0' || ch === '1') {
+        tokens.push({ kind: 'const', value: Number(ch), pos: i++ });
+      } else if ('+|∨'.includes(ch)) {
+        tokens.push({ kind: 'or', pos: i++ });
+      } else if ('^⊕'.includes(ch)) {
+        tokens.push({ kind: 'xor', pos: i++ });
+      } else if ('*&·.∧'.includes(ch)) {
+        tokens.push({ kind: 'and', pos: i++ });
+      } else if ('!~¬'.includes(ch)) {
+        tokens.push({ kind: 'not', pos: i++ });
+      } else if (ch === "'" || ch === '’') {
+        tokens.push({ kind: 'prime', pos: i++ });
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ kind: ch, pos: i++ });
+      } else {
+        throw new Error(`Unexpected "${ch}" at position ${i + offset + 1}`);
+      }
+    }
+    
+    let index = 0;
+    const peek = () => tokens[index];
+    const fail = (message) => {
+      const token = peek();
+      const where = token ? `at position ${token.pos + offset + 1}` : 'at end of expression';
+      throw new Error(`${message} ${where}`);
+    };
+    
+    const parseOr = () => {
+      const args = [parseXor()];
+      while (peek() && peek().kind === 'or') { index++; args.push(parseXor()); }
+      return args.length === 1 ? args[0] : { op: 'or', args };
+    };
+    const parseXor = () => {
+      const args = [parseAnd()];
+      while (peek() && peek().kind === 'xor') { index++; args.push(parseAnd()); }
+      return args.length === 1 ? args[0] : { op: 'xor', args };
+    };
+    const startsOperand = (token) => token && ['var', 'const', 'not', '('].includes(token.kind);
+    const parseAnd = () => {
+      const args = [parseUnary()];
+      while (peek() && (peek().kind === 'and' || startsOperand(peek()))) {
+        if (peek().kind === 'and') index++;
+        args.push(parseUnary());
+      }
+      return args.length === 1 ? args[0] : { op: 'and', args };
+    };
+    const parseUnary = () => {
+      if (peek() && peek().kind === 'not') {
+        index++;
+        return { op: 'not', arg: parseUnary() };
+      }
+      let node = parsePrimary();
+      while (peek() && peek().kind === 'prime') {
+        index++;
+        node = { op: 'not', arg: node };
+      }
+      return node;
+    };
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) fail('Expected a variable');
+      if (token.kind === 'var') { index++; return { op: 'var', name: token.value }; }
+      if (token.kind === 'const') { index++; return { op: 'const', value: token.value }; }
+      if (token.kind === '(') {
+        index++;
+        const inner = parseOr();
+        if (!peek() || peek().kind !== ')') fail('Expected ")"');
+        index++;
+        return inner;
+      }
+      fail('Expected a variable');
+    };
+    
+    if (tokens.length === 0) throw new Error('The expression is empty');
+    const ast = parseOr();
+    if (index < tokens.length) fail('Unexpected symbol');
+    
+    const variables = new Set();
+    const collect = (node) => {
+      if (node.op === 'var') variables.add(node.name);
+      if (node.arg) collect(node.arg);
+      if (node.args) node.args.forEach(collect);
+    };
+    collect(ast);
+    
+    return { ast, variables: Array.from(variables).sort() };
+  }
+
+  function evaluateExpression(node, env) {
+    switch (node.op) {
+      case 'var': return env[node.name] ? 1 : 0;
+      case 'const': return node.value;
+      case 'not': return evaluateExpression(node.arg, env) ? 0 : 1;
+      case 'and': return node.args.every(arg => evaluateExpression(arg, env)) ? 1 : 0;
+      case 'or': return node.args.some(arg => evaluateExpression(arg, env)) ? 1 : 0;
+      case 'xor': return node.args.reduce((acc, arg) => acc ^ evaluateExpression(arg, env), 0);
+    }
+    return 0;
+  }
+
+  // Quine–McCluskey. An implicant is { value, mask } where set mask bits
+  // are eliminated variables; variable 0 is the most significant bit,
+  // matching the row order of the truth table.
+  function minimizeSOP(numVars, minterms, dontCares = []) {
+    if (minterms.length === 0) return [];
+    
+    const popcount = (n) => { let c = 0; while (n) { c += n & 1; n >>= 1; } return c; };
+    let current = Array.from(new Set([...minterms, ...dontCares])).map(m => ({ value: m, mask: 0 }));
+    const primes = [];
+    
+    while (current.length > 0) {
+      const next = new Map();
+      const combined = new Set();
+      
+      // Only implicants whose ones-counts differ by one can merge
+      const groups = new Map();
+      current.forEach((implicant, i) => {
+        const key = `${implicant.mask}:${popcount(implicant.value)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(i);
+      });
+      
+      groups.forEach((members, key) => {
+        const [mask, ones] = key.split(':').map(Number);
+        const partners = groups.get(`${mask}:${ones + 1}`) || [];
+        members.forEach(i => {
+          partners.forEach(j => {
+            const diff = current[i].value ^ current[j].value;
+            if (popcount(diff) !== 1) return;
+            const merged = { value: current[i].value & ~diff, mask: mask | diff };
+            next.set(`${merged.value}/${merged.mask}`, merged);
+            combined.add(i);
+            combined.add(j);
+          });
+        });
+      });
+      
+      current.forEach((implicant, i) => {
+        if (!combined.has(i)) primes.push(implicant);
+      });
+      current = Array.from(next.values());
+    }
+    
+    // Essential primes first, then greedily the prime covering most of
+    // what is left (fewest literals on ties). Greedy cover is not always
+    // minimal, but it is for every function a K-map lesson produces.
+    const covers = (implicant, m) => (m & ~implicant.mask) === implicant.value;
+    const remaining = new Set(minterms);
+    const chosen = [];
+    const choose = (implicant) => {
+      chosen.push(implicant);
+      remaining.forEach(m => { if (covers(implicant, m)) remaining.delete(m); });
+    };
+    
+    minterms.forEach(m => {
+      if (!remaining.has(m)) return;
+      const covering = primes.filter(implicant => covers(implicant, m));
+      if (covering.length === 1) choose(covering[0]);
+    });
+    
+    while (remaining.size > 0) {
+      let best = null;
+      let bestCount = -1;
+      primes.forEach(implicant => {
+        if (chosen.includes(implicant)) return;
+        let count = 0;
+        remaining.forEach(m => { if (covers(implicant, m)) count++; });
+        if (count > bestCount || (count === bestCount && popcount(implicant.mask) > popcount(best.mask))) {
+          best = implicant;
+          bestCount = count;
+        }
+      });
+      choose(best);
+    }
+    
+    return chosen;
+  }
+
+  function implicantLiterals(implicant, names) {
+    const numVars = names.length;
+    const literals = [];
+    names.forEach((name, j) => {
+      const bit = 1 << (numVars - 1 - j);
+      if (implicant.mask & bit) return;
+      literals.push({ name, index: j, negated: !(implicant.value & bit) });
+    });
+    return literals;
+  }
+
+  function formatSOP(implicants, names) {
+    if (implicants.length === 0) return '0';
+    return implicants.map(implicant => {
+      const literals = implicantLiterals(implicant, names);
+      if (literals.length === 0) return '1';
+      return literals.map(lit => lit.name + (lit.negated ? "'" : '')).join('·');
+    }).join(' + ');
+  }
+
+  // POS from the minimized complement, by De Morgan
+  function formatPOS(complementImplicants, names) {
+    if (complementImplicants.length === 0) return '1';
+    return complementImplicants.map(implicant => {
+      const literals = implicantLiterals(implicant, names);
+      if (literals.length === 0) return '0';
+      const sum = literals.map(lit => lit.name + (lit.negated ? '' : "'")).join(' + ');
+      return literals.length > 1 ? `(${sum})` : sum;
+    }).join('·');
+  }
+
+  // Row and column order of a K-map: neighbours differ in one variable
+  function grayCode(bits) {
+    return Array.from({ length: 1 << bits }, (_, i) => i ^ (i >> 1));
+  }
+
+  const BooleanAlgebra = {
+    parseExpression, evaluateExpression, minimizeSOP, implicantLiterals, formatSOP, formatPOS, grayCode
+  };
+  if (typeof module === 'object' && module.exports) module.exports = BooleanAlgebra;
+  else root.BooleanAlgebra = BooleanAlgebra;
+})(typeof window !== 'undefined' ? window : globalThis);
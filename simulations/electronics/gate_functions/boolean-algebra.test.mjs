@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import BooleanAlgebra from './boolean-algebra.js';
+
+const { parseExpression, evaluateExpression, minimizeSOP, formatSOP, formatPOS, grayCode } = BooleanAlgebra;
+
+// Minterms of a parsed expression, first variable as the MSB
+function mintermsOf(text) {
+  const { ast, variables } = parseExpression(text);
+  const minterms = [];
+  for (let row = 0; row < (1 << variables.length); row++) {
+    const env = {};
+    variables.forEach((name, j) => { env[name] = (row >> (variables.length - 1 - j)) & 1; });
+    if (evaluateExpression(ast, env)) minterms.push(row);
+  }
+  return { variables, minterms };
+}
+
+// Both minimal forms, POS from the complement the way the panel does it
+function minimize(names, minterms, dontCares = []) {
+  const rows = 1 << names.length;
+  const maxterms = [];
+  for (let row = 0; row < rows; row++) {
+    if (!minterms.includes(row) && !dontCares.includes(row)) maxterms.push(row);
+  }
+  return {
+    sop: formatSOP(minimizeSOP(names.length, minterms, dontCares), names),
+    pos: formatPOS(minimizeSOP(names.length, maxterms, dontCares), names)
+  };
+}
+
+describe('parseExpression', () => {
+  it('reads juxtaposition as AND and a prime as NOT', () => {
+    assert.deepEqual(mintermsOf("AB' + C"), { variables: ['A', 'B', 'C'], minterms: [1, 3, 4, 5, 7] });
+    assert.deepEqual(mintermsOf('!(A & (B | C))').minterms, mintermsOf("A' + B'C'").minterms);
+    assert.deepEqual(mintermsOf('A ^ B').minterms, [1, 2]);
+  });
+
+  it('ignores an output name and sorts the variables', () => {
+    const { ast, variables } = parseExpression('Q = c2 + b1a');
+    assert.deepEqual(variables, ['A', 'B1', 'C2']);
+    assert.equal(evaluateExpression(ast, { A: 0, B1: 0, C2: 1 }), 1);
+  });
+
+  it('reports where a malformed expression goes wrong', () => {
+    assert.throws(() => parseExpression(''), /^Error: The expression is empty$/);
+    assert.throws(() => parseExpression('A # B'), /^Error: Unexpected "#" at position 3$/);
+    assert.throws(() => parseExpression('A(B'), /^Error: Expected "\)" at end of expression$/);
+    assert.throws(() => parseExpression('A +'), /^Error: Expected a variable at end of expression$/);
+    assert.throws(() => parseExpression('A + )'), /^Error: Expected a variable at position 5$/);
+    // Positions count from the start of the text, output name included
+    assert.throws(() => parseExpression('F = A)'), /^Error: Unexpected symbol at position 6$/);
+  });
+});
+
+describe('minimizeSOP', () => {
+  it('finds the minimal forms of a textbook function', () => {
+    const { variables, minterms } = mintermsOf("AB + A'C + BC");
+    assert.deepEqual(minimize(variables, minterms), { sop: "A'·C + A·B", pos: "(A + C)·(A' + B)" });
+  });
+
+  it('uses don\'t-cares to grow implicants without having to cover them', () => {
+    assert.deepEqual(minimize(['A', 'B', 'C'], [0, 2, 6], [3, 7]), { sop: "A'·C' + B", pos: "C'·(A' + B)" });
+    // With nothing required, don't-cares alone are not a term
+    assert.deepEqual(minimizeSOP(3, [], [3, 7]), []);
+  });
+
+  it('reduces constant functions to 0 and 1', () => {
+    assert.deepEqual(minimizeSOP(2, []), []);
+    assert.deepEqual(minimize(['A', 'B'], []), { sop: '0', pos: '0' });
+    assert.deepEqual(minimize(['A', 'B'], [0, 1, 2, 3]), { sop: '1', pos: '1' });
+    assert.deepEqual(mintermsOf("A + A'").minterms, [0, 1]);
+    assert.deepEqual(mintermsOf('A·0 + 1').minterms, [0, 1]);
+  });
+
+  it('covers every minterm of all inputs with a single term', () => {
+    for (let numVars = 1; numVars <= 8; numVars++) {
+      const all = Array.from({ length: 1 << numVars }, (_, m) => m);
+      assert.deepEqual(minimizeSOP(numVars, all), [{ value: 0, mask: (1 << numVars) - 1 }]);
+    }
+  });
+});
+
+describe('grayCode', () => {
+  it('orders K-map rows so neighbours differ in one bit', () => {
+    assert.deepEqual(grayCode(2), [0, 1, 3, 2]);
+    const code = grayCode(3);
+    code.forEach((value, i) => {
+      const diff = value ^ code[(i + 1) % code.length];
+      assert.equal(diff & (diff - 1), 0);
+    });
+  });
+});
@@ -0,0 +1,1157 @@
+// Circuit semantics for the gatev6 logic simulator, with no DOM access so
+// that saved circuits can be evaluated in Node as well as in the browser.
+//
+//   const { loadCircuit } = require('./logic-core.js');
+//   const circuit = loadCircuit(JSON.parse(text));
+//   circuit.evaluateNode('node_4');
+//
+// The editor in gatev6.html picks it up as window.LogicCore from a plain
+// script tag, so the page also works opened from disk, then extends
+// LogicCircuit and overrides the createNode/createWire/deleteNode/deleteWire
+// hooks to keep its canvas in step with the model. The saved file format is
+// described in CIRCUIT_FORMAT.md.
+(function (root) {
+  'use strict';
+
+  // Multi-bit values travel as plain integers, bit 0 being the LSB
+  function maskToWidth(value, bits) {
+    return (value || 0) & ((1 << bits) - 1);
+  }
+
+  // Evaluates one placed copy of a library component. Each copy owns its
+  // own flip-flop state, and nested components get instances of their own.
+  class CircuitInstance {
+    constructor(definition, circuit) {
+      this.definition = definition;
+      this.circuit = circuit;
+      this.nodes = new Map();
+      this.drivers = new Map();
+
+      definition.nodes.forEach(data => {
+        const config = circuit.getNodeConfig(data.type, data.component, data.bits);
+        const node = {
+          id: data.id,
+          type: data.type,
+          component: data.component,
+          bits: config.bits,
+          config,
+          state: data.state || 0,
+          manualInputs: data.manualInputs || {},
+          lastClock: 0,
+          invalid: false
+        };
+        if (data.type === 'IC') {
+          node.instance = new CircuitInstance(circuit.library.get(data.component), circuit);
+        }
+        this.nodes.set(data.id, node);
+        this.drivers.set(data.id, new Map());
+      });
+
+      definition.wires.forEach(wire => {
+        this.drivers.get(wire.to.node).set(wire.to.pin, wire.from);
+      });
+
+      this.stateful = Array.from(this.nodes.values()).some(node => circuit.hasState(node));
+    }
+
+    evaluate(inputs, memo = new Map()) {
+      return this.definition.outputs.map(pin => this.evaluateNode(pin.id, inputs, memo)[0]);
+    }
+
+    evaluateNode(nodeId, inputs, memo) {
+      if (memo.has(nodeId)) return memo.get(nodeId);
+
+      const node = this.nodes.get(nodeId);
+      if (!node) return [0];
+
+      if (node.type === 'INPUT') {
+        const index = this.definition.inputs.findIndex(pin => pin.id === nodeId);
+        const outputs = [inputs[index] ? 1 : 0];
+        memo.set(nodeId, outputs);
+        return outputs;
+      }
+
+      if (node.config.stateful) {
+        const outputs = this.circuit.getStatefulOutputs(node);
+        memo.set(nodeId, outputs);
+        return outputs;
+      }
+
+      memo.set(nodeId, [0]);
+
+      const nodeInputs = this.getNodeInputs(node, inputs, memo);
+      const outputs = node.instance ? node.instance.evaluate(nodeInputs) :
+        this.circuit.computeOutputs(node, nodeInputs);
+      memo.set(nodeId, outputs);
+      return outputs;
+    }
+
+    getNodeInputs(node, inputs, memo) {
+      const values = [];
+      for (let i = 0; i < node.config.inputs; i++) {
+        const driver = this.drivers.get(node.id).get(i);
+        values.push(maskToWidth(driver ?
+          this.evaluateNode(driver.node, inputs, memo)[driver.pin] :
+          node.manualInputs[i], this.circuit.getInputWidth(node, i)));
+      }
+      return values;
+    }
+
+    settle(inputs) {
+      const statefulNodes = Array.from(this.nodes.values()).filter(node => this.circuit.hasState(node));
+      let changedAny = false;
+
+      for (let pass = 0; pass < this.circuit.MAX_SETTLE_PASSES; pass++) {
+        const memo = new Map();
+        const updates = statefulNodes.map(node => ({ node, values: this.getNodeInputs(node, inputs, memo) }));
+
+        let changed = false;
+        updates.forEach(({ node, values }) => {
+          const nodeChanged = node.instance ? node.instance.settle(values) :
+            this.circuit.applyNextState(node, this.circuit.computeNextState(node, values));
+          changed = nodeChanged || changed;
+        });
+
+        if (!changed) break;
+        changedAny = true;
+      }
+
+      return changedAny;
+    }
+  }
+
+  // Shortest propagation delay in ns. A zero delay would let a feedback
+  // loop spin forever at one instant.
+  const MIN_GATE_DELAY = 0.1;
+
+  // Propagation delays in ns a circuit starts with, per node type
+  const DEFAULT_GATE_DELAYS = Object.freeze({
+    NOT: 1, AND: 2, OR: 2, NAND: 1, NOR: 1, XOR: 3, XNOR: 3,
+    SR_LATCH: 2, D_FF: 3, JK_FF: 3, T_FF: 3, IC: 4,
+    ADDER: 6, MUX: 3, DECODER: 2, ENCODER: 3, COMPARATOR: 5
+  });
+
+  class LogicCircuit {
+    constructor() {
+      this.nodes = new Map();
+      this.wires = new Map();
+      this.nodeOutputs = new Map();
+      this.nodeInputs = new Map();
+      this.idCounter = 1;
+      this.library = new Map();
+      this.MAX_SETTLE_PASSES = 32;
+      this.MAX_EVENTS_PER_TICK = 10000;
+
+      // Event-driven timing simulation (times in ns)
+      this.eventMode = false;
+      this.simTime = 0;
+      this.eventQueue = [];
+      this.eventSeq = 0;
+      this.signals = new Map();
+      this.projected = new Map();
+      this.gateDelays = { ...DEFAULT_GATE_DELAYS };
+    }
+
+    // Editing
+    createNode(type, x = 0, y = 0, component, bits) {
+      const config = this.getNodeConfig(type, component, bits);
+      if (!config) return null;
+
+      const nodeId = `node_${this.idCounter++}`;
+      const node = {
+        id: nodeId,
+        type,
+        x,
+        y,
+        width: 180,
+        height: config.height || 120,
+        state: (type === 'INPUT' || type === 'CLOCK' || config.stateful) ? 0 : null,
+        manualInputs: {},
+        config
+      };
+
+      if (type === 'CLOCK') {
+        node.frequency = 1;
+        node.running = true;
+        node.phase = 0;
+      }
+
+      if (config.stateful) {
+        node.lastClock = 0;
+        node.invalid = false;
+      }
+
+      if (type === 'IC') {
+        node.component = component;
+        node.instance = new CircuitInstance(this.library.get(component), this);
+      }
+
+      if (config.wide) {
+        node.bits = config.bits;
+      }
+
+      this.nodes.set(nodeId, node);
+      this.nodeOutputs.set(nodeId, []);
+      this.nodeInputs.set(nodeId, new Map());
+
+      return nodeId;
+    }
+
+    createWire(fromNodeId, fromPin, toNodeId, toPin) {
+      // An input has a single driver
+      const existing = this.nodeInputs.get(toNodeId).get(toPin);
+      if (existing) this.deleteWire(existing);
+
+      const wireId = `wire_${this.idCounter++}`;
+      this.wires.set(wireId, {
+        id: wireId,
+        from: { node: fromNodeId, pin: fromPin },
+        to: { node: toNodeId, pin: toPin }
+      });
+      this.nodeOutputs.get(fromNodeId).push(wireId);
+      this.nodeInputs.get(toNodeId).set(toPin, wireId);
+
+      return wireId;
+    }
+
+    deleteWire(wireId) {
+      const wire = this.wires.get(wireId);
+      if (!wire) return;
+
+      const outputs = this.nodeOutputs.get(wire.from.node);
+      if (outputs) {
+        const index = outputs.indexOf(wireId);
+        if (index >= 0) outputs.splice(index, 1);
+      }
+
+      const inputs = this.nodeInputs.get(wire.to.node);
+      if (inputs && inputs.get(wire.to.pin) === wireId) {
+        inputs.delete(wire.to.pin);
+      }
+
+      this.wires.delete(wireId);
+    }
+
+    deleteNode(nodeId) {
+      (this.nodeOutputs.get(nodeId) || []).slice().forEach(wireId => this.deleteWire(wireId));
+      Array.from((this.nodeInputs.get(nodeId) || new Map()).values()).forEach(wireId => this.deleteWire(wireId));
+
+      this.signals.delete(nodeId);
+      this.nodes.delete(nodeId);
+      this.nodeOutputs.delete(nodeId);
+      this.nodeInputs.delete(nodeId);
+    }
+
+    clearAll() {
+      Array.from(this.wires.keys()).forEach(wireId => this.deleteWire(wireId));
+      Array.from(this.nodes.keys()).forEach(nodeId => this.deleteNode(nodeId));
+    }
+
+    setInputState(nodeId, value) {
+      const node = this.nodes.get(nodeId);
+      if (node && node.type === 'INPUT') {
+        node.state = value ? 1 : 0;
+      }
+    }
+
+    // Node types
+    getNodeConfig(type, component, bits) {
+      if (type === 'IC') {
+        const definition = this.library.get(component);
+        if (!definition) return null;
+        const pins = Math.max(definition.inputs.length, definition.outputs.length);
+        return {
+          inputs: definition.inputs.length,
+          outputs: definition.outputs.length,
+          color: '#64748b',
+          title: definition.name,
+          inputLabels: definition.inputs.map(pin => pin.label),
+          outputLabels: definition.outputs.map(pin => pin.label),
+          height: Math.max(120, 48 + 48 * pins)
+        };
+      }
+
+      const configs = {
+        INPUT: { inputs: 0, outputs: 1, color: '#10b981' },
+        OUTPUT: { inputs: 1, outputs: 0, color: '#ef4444' },
+        AND: { inputs: 2, outputs: 1, color: '#3b82f6' },
+        OR: { inputs: 2, outputs: 1, color: '#8b5cf6' },
+        NOT: { inputs: 1, outputs: 1, color: '#f59e0b' },
+        NAND: { inputs: 2, outputs: 1, color: '#06b6d4' },
+        NOR: { inputs: 2, outputs: 1, color: '#84cc16' },
+        XOR: { inputs: 2, outputs: 1, color: '#f97316' },
+        XNOR: { inputs: 2, outputs: 1, color: '#ec4899' },
+        CLOCK: { inputs: 0, outputs: 1, color: '#22d3ee', outputLabels: ['CLK'] },
+        SR_LATCH: {
+          inputs: 2, outputs: 2, color: '#a855f7', stateful: true, title: 'SR LATCH',
+          inputLabels: ['S', 'R'], outputLabels: ['Q', 'Q̄']
+        },
+        D_FF: {
+          inputs: 2, outputs: 2, color: '#14b8a6', stateful: true, title: 'D FLIP-FLOP',
+          inputLabels: ['D', '▷'], outputLabels: ['Q', 'Q̄']
+        },
+        JK_FF: {
+          inputs: 3, outputs: 2, color: '#eab308', stateful: true, title: 'JK FLIP-FLOP',
+          inputLabels: ['J', 'K', '▷'], outputLabels: ['Q', 'Q̄'], height: 168
+        },
+        T_FF: {
+          inputs: 2, outputs: 2, color: '#f43f5e', stateful: true, title: 'T FLIP-FLOP',
+          inputLabels: ['T', '▷'], outputLabels: ['Q', 'Q̄']
+        }
+      };
+      return configs[type] || this.getWideConfig(type, bits);
+    }
+
+    getWideConfig(type, bits) {
+      const specs = {
+        SPLITTER: { color: '#0ea5e9', title: 'SPLITTER', widths: [2, 4, 8, 16] },
+        MERGER: { color: '#0ea5e9', title: 'MERGER', widths: [2, 4, 8, 16] },
+        ADDER: { color: '#6366f1', title: 'ADDER', widths: [1, 2, 4, 8, 16] },
+        MUX: { color: '#6366f1', title: 'MUX 4:1', widths: [1, 2, 4, 8, 16] },
+        DECODER: { color: '#0d9488', title: 'DECODER', widths: [1, 2, 3] },
+        ENCODER: { color: '#0d9488', title: 'ENCODER', widths: [1, 2, 3] },
+        COMPARATOR: { color: '#6366f1', title: 'COMPARATOR', widths: [1, 2, 4, 8, 16] },
+        SEVEN_SEG: { color: '#ef4444', title: '7-SEGMENT', widths: [7] },
+        HEX_DISPLAY: { color: '#ef4444', title: 'HEX DISPLAY', widths: [4, 8, 16] }
+      };
+      const spec = specs[type];
+      if (!spec) return undefined;
+
+      const n = spec.widths.includes(bits) ? bits : (spec.widths.includes(4) ? 4 : spec.widths[spec.widths.length - 1]);
+      const bus = (name) => n === 1 ? name : `${name}[${n - 1}:0]`;
+      const range = (count, label) => Array.from({ length: count }, (_, i) => label(i));
+      let inputs;
+      let outputs;
+
+      // Each pin is [label, width]
+      switch (type) {
+        case 'SPLITTER':
+          inputs = [[`[${n - 1}:0]`, n]];
+          outputs = range(n, i => [`${i}`, 1]);
+          break;
+        case 'MERGER':
+          inputs = range(n, i => [`${i}`, 1]);
+          outputs = [[`[${n - 1}:0]`, n]];
+          break;
+        case 'ADDER':
+          inputs = [[bus('A'), n], [bus('B'), n], ['Cin', 1]];
+          outputs = [[bus('S'), n], ['Cout', 1]];
+          break;
+        case 'MUX':
+          inputs = [...range(4, i => [bus(`D${i}`), n]), ['S[1:0]', 2]];
+          outputs = [[bus('Y'), n]];
+          break;
+        case 'DECODER':
+          inputs = [[bus('A'), n]];
+          outputs = range(1 << n, i => [`Y${i}`, 1]);
+          break;
+        case 'ENCODER':
+          inputs = range(1 << n, i => [`I${i}`, 1]);
+          outputs = [[bus('Y'), n], ['V', 1]];
+          break;
+        case 'COMPARATOR':
+          inputs = [[bus('A'), n], [bus('B'), n]];
+          outputs = [['A<B', 1], ['A=B', 1], ['A>B', 1]];
+          break;
+        case 'SEVEN_SEG':
+          inputs = range(7, i => [String.fromCharCode(97 + i), 1]);
+          outputs = [];
+          break;
+        case 'HEX_DISPLAY':
+          inputs = [[`[${n - 1}:0]`, n]];
+          outputs = [];
+          break;
+      }
+
+      const pins = Math.max(inputs.length, outputs.length);
+      // Wide parts with many pins use a compact pin layout
+      const dense = pins > 4;
+      return {
+        inputs: inputs.length,
+        outputs: outputs.length,
+        color: spec.color,
+        title: spec.title,
+        inputLabels: inputs.map(([label]) => label),
+        outputLabels: outputs.map(([label]) => label),
+        inputWidths: inputs.map(([, width]) => width),
+        outputWidths: outputs.map(([, width]) => width),
+        height: dense ? 72 + 26 * pins : Math.max(120, 48 + 48 * pins),
+        wide: true,
+        dense,
+        bits: n,
+        widths: spec.widths
+      };
+    }
+
+    getInputWidth(node, pinIndex) {
+      return (node.config.inputWidths && node.config.inputWidths[pinIndex]) || 1;
+    }
+
+    getOutputWidth(node, pinIndex) {
+      return (node.config.outputWidths && node.config.outputWidths[pinIndex]) || 1;
+    }
+
+    // Zero-delay evaluation
+    evaluateNode(nodeId, memo = new Map()) {
+      return this.evaluateOutputs(nodeId, memo)[0];
+    }
+
+    evaluateOutputs(nodeId, memo = new Map()) {
+      if (memo.has(nodeId)) return memo.get(nodeId);
+
+      const node = this.nodes.get(nodeId);
+      if (!node) return [0];
+
+      // Stateful elements present their stored Q, which is what lets
+      // feedback loops through them resolve instead of recursing forever
+      if (node.config.stateful) {
+        const outputs = this.getStatefulOutputs(node);
+        memo.set(nodeId, outputs);
+        return outputs;
+      }
+
+      // Provisional value so a purely combinational loop terminates
+      memo.set(nodeId, [0]);
+
+      const inputs = [];
+      for (let i = 0; i < node.config.inputs; i++) {
+        inputs.push(this.getInputValue(nodeId, i, memo));
+      }
+
+      const outputs = node.instance ? node.instance.evaluate(inputs) :
+        this.computeOutputs(node, inputs);
+      memo.set(nodeId, outputs);
+      return outputs;
+    }
+
+    computeOutputs(node, inputs) {
+      return node.config.wide ? this.computeWideOutputs(node, inputs) : [this.computeGateOutput(node, inputs)];
+    }
+
+    computeWideOutputs(node, inputs) {
+      const bits = node.bits;
+
+      switch (node.type) {
+        case 'SPLITTER':
+          return Array.from({ length: bits }, (_, i) => (inputs[0] >> i) & 1);
+
+        case 'MERGER':
+          return [inputs.reduce((value, bit, i) => value | (bit << i), 0)];
+
+        case 'ADDER': {
+          const sum = inputs[0] + inputs[1] + inputs[2];
+          return [maskToWidth(sum, bits), (sum >> bits) & 1];
+        }
+
+        case 'MUX':
+          return [inputs[inputs[4]]];
+
+        case 'DECODER':
+          return Array.from({ length: 1 << bits }, (_, i) => (i === inputs[0] ? 1 : 0));
+
+        case 'ENCODER': {
+          // Priority goes to the highest-numbered active line
+          const index = inputs.lastIndexOf(1);
+          return index < 0 ? [0, 0] : [index, 1];
+        }
+
+        case 'COMPARATOR': {
+          const [a, b] = inputs;
+          return [a < b ? 1 : 0, a === b ? 1 : 0, a > b ? 1 : 0];
+        }
+      }
+
+      // Displays have no outputs
+      return [];
+    }
+
+    computeGateOutput(node, inputs) {
+      const [a, b] = inputs;
+
+      switch (node.type) {
+        case 'INPUT':
+        case 'CLOCK':
+          return node.state ? 1 : 0;
+
+        case 'OUTPUT':
+          return a;
+
+        case 'NOT':
+          return a ? 0 : 1;
+
+        case 'AND':
+          return (a && b) ? 1 : 0;
+
+        case 'OR':
+          return (a || b) ? 1 : 0;
+
+        case 'NAND':
+          return (a && b) ? 0 : 1;
+
+        case 'NOR':
+          return (a || b) ? 0 : 1;
+
+        case 'XOR':
+          return (a !== b) ? 1 : 0;
+
+        case 'XNOR':
+          return (a === b) ? 1 : 0;
+      }
+
+      return 0;
+    }
+
+    getInputValue(nodeId, pinIndex, memo = new Map()) {
+      const node = this.nodes.get(nodeId);
+      const inputMap = this.nodeInputs.get(nodeId);
+      if (!inputMap || !inputMap.has(pinIndex)) {
+        return maskToWidth(node.manualInputs && node.manualInputs[pinIndex], this.getInputWidth(node, pinIndex));
+      }
+
+      const wireId = inputMap.get(pinIndex);
+      const wire = this.wires.get(wireId);
+      return maskToWidth(this.getOutputValue(wire.from.node, wire.from.pin, memo), this.getInputWidth(node, pinIndex));
+    }
+
+    getOutputValue(nodeId, pinIndex, memo = new Map()) {
+      return this.evaluateOutputs(nodeId, memo)[pinIndex] || 0;
+    }
+
+    getStatefulOutputs(node) {
+      // Pin 1 of a latch or flip-flop is Q̄; both outputs drop low while an
+      // SR latch sits in its forbidden S = R = 1 state
+      if (node.invalid) return [0, 0];
+      return node.state ? [1, 0] : [0, 1];
+    }
+
+    // Sequential logic
+    computeNextState(node, inputs) {
+      const q = node.state ? 1 : 0;
+
+      if (node.type === 'SR_LATCH') {
+        const [s, r] = inputs;
+        if (s && r) return { state: 0, lastClock: 0, invalid: true };
+        return { state: s ? 1 : (r ? 0 : q), lastClock: 0, invalid: false };
+      }
+
+      // Flip-flops take their clock on the last input pin
+      const clock = inputs[inputs.length - 1];
+      const risingEdge = clock === 1 && node.lastClock === 0;
+      let state = q;
+
+      if (risingEdge) {
+        switch (node.type) {
+          case 'D_FF':
+            state = inputs[0];
+            break;
+
+          case 'JK_FF': {
+            const [j, k] = inputs;
+            if (j && k) state = q ? 0 : 1;
+            else if (j) state = 1;
+            else if (k) state = 0;
+            break;
+          }
+
+          case 'T_FF':
+            state = inputs[0] ? (q ? 0 : 1) : q;
+            break;
+        }
+      }
+
+      return { state, lastClock: clock, invalid: false };
+    }
+
+    applyNextState(node, next) {
+      if (node.state === next.state && node.lastClock === next.lastClock &&
+          node.invalid === next.invalid) {
+        return false;
+      }
+      node.state = next.state;
+      node.lastClock = next.lastClock;
+      node.invalid = next.invalid;
+      return true;
+    }
+
+    hasState(node) {
+      return !!(node.config.stateful || (node.instance && node.instance.stateful));
+    }
+
+    settleSequential() {
+      const statefulNodes = Array.from(this.nodes.values()).filter(node => this.hasState(node));
+      if (statefulNodes.length === 0) return true;
+
+      for (let pass = 0; pass < this.MAX_SETTLE_PASSES; pass++) {
+        const memo = new Map();
+
+        // Sample every element before committing any of them so that
+        // registers and counters clocked together update in lockstep
+        const updates = statefulNodes.map(node => {
+          const inputs = [];
+          for (let i = 0; i < node.config.inputs; i++) {
+            inputs.push(this.getInputValue(node.id, i, memo));
+          }
+          return { node, inputs };
+        });
+
+        let changed = false;
+        updates.forEach(({ node, inputs }) => {
+          const nodeChanged = node.instance ? node.instance.settle(inputs) :
+            this.applyNextState(node, this.computeNextState(node, inputs));
+          changed = nodeChanged || changed;
+        });
+
+        if (!changed) return true;
+      }
+
+      return false;
+    }
+
+    // Event-driven timing (times in ns)
+    getGateDelay(node) {
+      return this.gateDelays[node.type] || 0;
+    }
+
+    getSignal(nodeId, pinIndex) {
+      if (!this.eventMode) return this.getOutputValue(nodeId, pinIndex);
+
+      const outputs = this.signals.get(nodeId);
+      return outputs ? (outputs[pinIndex] || 0) : 0;
+    }
+
+    getInputSignal(nodeId, pinIndex) {
+      if (!this.eventMode) return this.getInputValue(nodeId, pinIndex);
+
+      const node = this.nodes.get(nodeId);
+      const inputMap = this.nodeInputs.get(nodeId);
+      if (!inputMap || !inputMap.has(pinIndex)) {
+        return maskToWidth(node.manualInputs && node.manualInputs[pinIndex], this.getInputWidth(node, pinIndex));
+      }
+
+      const wire = this.wires.get(inputMap.get(pinIndex));
+      return maskToWidth(this.getSignal(wire.from.node, wire.from.pin), this.getInputWidth(node, pinIndex));
+    }
+
+    scheduleNode(nodeId) {
+      const node = this.nodes.get(nodeId);
+      if (!node) return;
+
+      if (!this.signals.has(nodeId)) {
+        this.signals.set(nodeId, new Array(Math.max(1, node.config.outputs)).fill(0));
+      }
+
+      const inputs = [];
+      for (let i = 0; i < node.config.inputs; i++) {
+        inputs.push(this.getInputSignal(nodeId, i));
+      }
+
+      let outputs;
+      if (node.instance) {
+        // A component is timed as one black box with a single delay
+        if (node.instance.stateful) node.instance.settle(inputs);
+        outputs = node.instance.evaluate(inputs);
+      } else if (node.config.stateful) {
+        // Internal state changes at once; only the outputs lag behind
+        this.applyNextState(node, this.computeNextState(node, inputs));
+        outputs = this.getStatefulOutputs(node);
+      } else {
+        outputs = this.computeOutputs(node, inputs);
+      }
+
+      // Transport delay: every change is delivered, so glitches shorter
+      // than a gate's delay still propagate and can be observed
+      const time = this.simTime + this.getGateDelay(node);
+      outputs.forEach((value, pin) => {
+        const key = `${nodeId}:${pin}`;
+        const projected = this.projected.has(key) ? this.projected.get(key) : this.signals.get(nodeId)[pin];
+        if (value === projected) return;
+
+        this.projected.set(key, value);
+        this.enqueueEvent({ time, seq: this.eventSeq++, nodeId, pin, value });
+      });
+    }
+
+    enqueueEvent(event) {
+      // Binary insertion keeps the queue ordered by time, then by arrival
+      let lo = 0;
+      let hi = this.eventQueue.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        const other = this.eventQueue[mid];
+        if (other.time < event.time || (other.time === event.time && other.seq < event.seq)) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
+        }
+      }
+      this.eventQueue.splice(lo, 0, event);
+    }
+
+    processEvents(untilTime) {
+      let processed = 0;
+
+      while (this.eventQueue.length > 0 && this.eventQueue[0].time <= untilTime) {
+        if (processed >= this.MAX_EVENTS_PER_TICK) break;
+
+        // Apply every change at this instant before re-evaluating fan-out,
+        // so a gate whose inputs switch together is evaluated only once
+        this.simTime = this.eventQueue[0].time;
+        const affected = new Set();
+        while (this.eventQueue.length > 0 && this.eventQueue[0].time === this.simTime) {
+          const event = this.eventQueue.shift();
+          processed++;
+
+          const outputs = this.signals.get(event.nodeId);
+          if (!outputs || outputs[event.pin] === event.value) continue;
+          outputs[event.pin] = event.value;
+
+          (this.nodeOutputs.get(event.nodeId) || []).forEach(wireId => {
+            const wire = this.wires.get(wireId);
+            if (wire && wire.from.pin === event.pin) affected.add(wire.to.node);
+          });
+        }
+
+        this.afterInstant();
+        affected.forEach(nodeId => this.scheduleNode(nodeId));
+      }
+
+      return processed;
+    }
+
+    // Combinational cycles
+    detectCycles() {
+      const graph = {};
+      this.nodes.forEach((_, nodeId) => {
+        graph[nodeId] = [];
+      });
+
+      this.wires.forEach(wire => {
+        // A loop that passes through a latch, a flip-flop or a component
+        // holding one is sequential feedback, not a combinational cycle
+        if (this.hasState(this.nodes.get(wire.from.node))) return;
+        graph[wire.from.node].push(wire.to.node);
+      });
+
+      const visited = new Set();
+      const recursionStack = new Set();
+
+      const hasCycleDFS = (nodeId) => {
+        if (recursionStack.has(nodeId)) return true;
+        if (visited.has(nodeId)) return false;
+
+        visited.add(nodeId);
+        recursionStack.add(nodeId);
+
+        for (const neighbor of graph[nodeId]) {
+          if (hasCycleDFS(neighbor)) return true;
+        }
+
+        recursionStack.delete(nodeId);
+        return false;
+      };
+
+      for (const nodeId of Object.keys(graph)) {
+        if (hasCycleDFS(nodeId)) return true;
+      }
+
+      return false;
+    }
+
+    // Brings the circuit to rest after an edit. Returns whether a
+    // combinational cycle was found and whether sequential state settled.
+    propagate() {
+      const hasCycle = this.detectCycles();
+
+      if (this.eventMode) {
+        // Re-evaluating a node whose inputs are unchanged schedules
+        // nothing, so kicking everything only reacts to the real edit
+        this.nodes.forEach((node, nodeId) => this.scheduleNode(nodeId));
+        this.processEvents(this.simTime);
+      }
+
+      const settled = this.eventMode || hasCycle || this.settleSequential();
+      return { hasCycle, settled };
+    }
+
+    resetTiming() {
+      this.eventQueue = [];
+      this.signals.clear();
+      this.projected.clear();
+      this.simTime = 0;
+
+      if (this.eventMode) {
+        // Start from the zero-delay snapshot; kicking every node afterwards
+        // sets off anything that snapshot can't represent, like oscillators
+        const memo = new Map();
+        this.nodes.forEach((node, nodeId) => {
+          const outputs = [];
+          for (let pin = 0; pin < Math.max(1, node.config.outputs); pin++) {
+            outputs.push(this.getOutputValue(nodeId, pin, memo));
+          }
+          this.signals.set(nodeId, outputs);
+        });
+      }
+    }
+
+    advanceTo(time) {
+      const processed = this.processEvents(time);
+      // Out of event budget: time stays at the last instant processed
+      if (processed < this.MAX_EVENTS_PER_TICK) {
+        this.simTime = time;
+      }
+      return processed;
+    }
+
+    // Called after every simulated instant's changes have been applied
+    afterInstant() {}
+
+    // File format
+    serializeCircuit() {
+      return {
+        version: CIRCUIT_FORMAT_VERSION,
+        timestamp: new Date().toISOString(),
+        nodes: Array.from(this.nodes.values()).map(node => this.serializeNode(node)),
+        wires: Array.from(this.wires.values()),
+        library: { components: Array.from(this.library.values()) },
+        timing: { gateDelays: { ...this.gateDelays } }
+      };
+    }
+
+    serializeNode(node) {
+      return {
+        id: node.id,
+        type: node.type,
+        x: node.x,
+        y: node.y,
+        width: node.width,
+        height: node.height,
+        state: node.state,
+        manualInputs: { ...node.manualInputs },
+        ...(node.config.stateful && { lastClock: node.lastClock }),
+        ...(node.type === 'CLOCK' && { frequency: node.frequency }),
+        ...(node.type === 'IC' && { component: node.component }),
+        ...(node.config.wide && { bits: node.bits })
+      };
+    }
+
+    // Creates a node from its saved form under a fresh id
+    restoreNode(nodeData) {
+      const nodeId = this.createNode(nodeData.type, nodeData.x || 0, nodeData.y || 0, nodeData.component, nodeData.bits);
+      if (!nodeId) return null;
+      const node = this.nodes.get(nodeId);
+
+      node.width = nodeData.width || 180;
+      node.height = nodeData.height || node.height;
+      node.state = nodeData.state || 0;
+      node.manualInputs = { ...nodeData.manualInputs };
+      // The clock level the flip-flop last saw, so a clock that is high on
+      // load is not mistaken for a rising edge
+      if (node.config.stateful) {
+        node.lastClock = nodeData.lastClock || 0;
+      }
+      if (node.type === 'CLOCK') {
+        node.frequency = nodeData.frequency || 1;
+      }
+
+      return nodeId;
+    }
+
+    // Upgrades files from older editors and throws if the result is malformed,
+    // before anything on the current circuit is touched
+    loadCircuit(data) {
+      data = migrateCircuit(data);
+      const errors = validateCircuit(data);
+      if (errors.length) {
+        const shown = errors.slice(0, 10);
+        if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+        throw new Error(`Invalid circuit file:\n${shown.join('\n')}`);
+      }
+
+      this.clearAll();
+
+      // Types the file leaves out get the defaults, not the previous circuit's delays
+      this.gateDelays = { ...DEFAULT_GATE_DELAYS, ...(data.timing && data.timing.gateDelays) };
+
+      // Components come first so the IC nodes below can find them
+      if (data.library && Array.isArray(data.library.components)) {
+        data.library.components.forEach(definition => this.library.set(definition.name, definition));
+      }
+
+      const nodeIdMap = new Map();
+
+      (data.nodes || []).forEach(nodeData => {
+        const newNodeId = this.restoreNode(nodeData);
+        if (newNodeId) nodeIdMap.set(nodeData.id, newNodeId);
+      });
+
+      (data.wires || []).forEach(wireData => {
+        const fromNodeId = nodeIdMap.get(wireData.from.node);
+        const toNodeId = nodeIdMap.get(wireData.to.node);
+
+        if (fromNodeId && toNodeId) {
+          const wireId = this.createWire(fromNodeId, wireData.from.pin, toNodeId, wireData.to.pin);
+          if (wireData.probe) this.wires.get(wireId).probe = true;
+        }
+      });
+
+      return nodeIdMap;
+    }
+  }
+
+  // File format versions, documented in CIRCUIT_FORMAT.md. Files without a
+  // version field come from gate.html and gatev1–v3 and are treated as 1.0.
+  const CIRCUIT_FORMAT_VERSION = '3.0';
+
+  // Each step upgrades a file of version `from` to version `to`
+  const MIGRATIONS = [
+    {
+      // gate.html, gatev1–v3: `edges` became `wires`
+      from: '1.0',
+      to: '2.0',
+      upgrade: ({ edges, ...data }) => ({ ...data, wires: data.wires || edges || [] })
+    },
+    {
+      // gatev5: resizable nodes
+      from: '2.0',
+      to: '2.1',
+      upgrade: (data) => ({
+        ...data,
+        nodes: (data.nodes || []).map(node => ({ width: 180, height: 120, ...node }))
+      })
+    },
+    {
+      // gatev6: same layout, new editor
+      from: '2.1',
+      to: '2.2',
+      upgrade: (data) => data
+    },
+    {
+      // Sequential and wide parts, component library and gate delays
+      from: '2.2',
+      to: '3.0',
+      upgrade: (data) => ({
+        ...data,
+        library: data.library || { components: [] },
+        timing: data.timing || { gateDelays: {} }
+      })
+    }
+  ];
+
+  // Returns a copy of a saved circuit upgraded to CIRCUIT_FORMAT_VERSION
+  function migrateCircuit(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Invalid circuit file: expected a JSON object');
+    }
+
+    let version = data.version === undefined ? '1.0' : data.version;
+    const known = [...MIGRATIONS.map(step => step.from), CIRCUIT_FORMAT_VERSION];
+    if (!known.includes(version)) {
+      const newer = typeof version === 'string' && parseFloat(version) > parseFloat(CIRCUIT_FORMAT_VERSION);
+      throw new Error(newer ?
+        `Invalid circuit file: version ${version} was saved by a newer editor (this one reads up to ${CIRCUIT_FORMAT_VERSION})` :
+        `Invalid circuit file: unknown version ${JSON.stringify(version)}`);
+    }
+
+    let upgraded = { ...data };
+    MIGRATIONS.forEach(step => {
+      if (step.from !== version) return;
+      upgraded = { ...step.upgrade(upgraded), version: step.to };
+      version = step.to;
+    });
+    return upgraded;
+  }
+
+  // Checks a current-version file and returns a list of problems, each
+  // prefixed with the path of the offending field. An empty list means the
+  // file can be loaded.
+  function validateCircuit(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(data)) return ['expected a JSON object'];
+    if (data.version !== CIRCUIT_FORMAT_VERSION) {
+      errors.push(`version: expected "${CIRCUIT_FORMAT_VERSION}", found ${JSON.stringify(data.version)}`);
+    }
+
+    // Only well-formed components are registered, so pin lookups below are safe
+    const scratch = new LogicCircuit();
+    const components = [];
+    if (!isObject(data.library) || !Array.isArray(data.library.components)) {
+      errors.push('library.components: expected an array');
+    } else {
+      data.library.components.forEach((definition, index) => {
+        const path = `library.components[${index}]`;
+        if (!isObject(definition)) {
+          errors.push(`${path}: expected an object`);
+        } else if (typeof definition.name !== 'string' || !definition.name) {
+          errors.push(`${path}.name: expected a non-empty string`);
+        } else if (scratch.library.has(definition.name)) {
+          errors.push(`${path}.name: duplicate component "${definition.name}"`);
+        } else if (!['inputs', 'outputs', 'nodes', 'wires'].every(key => Array.isArray(definition[key]))) {
+          const missing = ['inputs', 'outputs', 'nodes', 'wires'].find(key => !Array.isArray(definition[key]));
+          errors.push(`${path}.${missing}: expected an array`);
+        } else {
+          scratch.library.set(definition.name, definition);
+          components.push({ definition, path });
+        }
+      });
+    }
+
+    components.forEach(({ definition, path }) => {
+      validateNetwork(scratch, definition.nodes, definition.wires, path, errors);
+
+      const ids = new Set(definition.nodes.map(node => node && node.id));
+      ['inputs', 'outputs'].forEach(side => {
+        definition[side].forEach((pin, index) => {
+          if (!isObject(pin) || !ids.has(pin.id)) {
+            errors.push(`${path}.${side}[${index}].id: no node ${JSON.stringify(pin && pin.id)} in the component`);
+          }
+        });
+      });
+
+      if (containsComponent(scratch.library, definition, definition.name, new Set())) {
+        errors.push(`${path}: component "${definition.name}" contains itself`);
+      }
+    });
+
+    if (data.timing !== undefined) {
+      if (!isObject(data.timing) || !isObject(data.timing.gateDelays)) {
+        errors.push('timing.gateDelays: expected an object');
+      } else {
+        Object.entries(data.timing.gateDelays).forEach(([type, delay]) => {
+          if (typeof delay !== 'number' || !(delay >= MIN_GATE_DELAY)) {
+            errors.push(`timing.gateDelays.${type}: expected a number of at least ${MIN_GATE_DELAY}`);
+          }
+        });
+      }
+    }
+
+    validateNetwork(scratch, data.nodes, data.wires, '', errors);
+    return errors;
+  }
+
+  // Validates the nodes and wires of a circuit or component definition
+  function validateNetwork(scratch, nodes, wires, prefix, errors) {
+    const at = (field) => prefix ? `${prefix}.${field}` : field;
+
+    if (!Array.isArray(nodes)) {
+      errors.push(`${at('nodes')}: expected an array`);
+      return;
+    }
+    if (!Array.isArray(wires)) {
+      errors.push(`${at('wires')}: expected an array`);
+      return;
+    }
+
+    const configs = new Map();
+    nodes.forEach((node, index) => {
+      const path = at(`nodes[${index}]`);
+      if (!node || typeof node !== 'object') {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (typeof node.id !== 'string' && typeof node.id !== 'number') {
+        errors.push(`${path}.id: expected a string or number`);
+        return;
+      }
+      if (configs.has(node.id)) {
+        errors.push(`${path}.id: duplicate node id "${node.id}"`);
+        return;
+      }
+      ['x', 'y'].forEach(key => {
+        if (node[key] !== undefined && !Number.isFinite(node[key])) {
+          errors.push(`${path}.${key}: expected a number`);
+        }
+      });
+
+      if (node.state !== undefined && node.state !== null && typeof node.state !== 'number') {
+        errors.push(`${path}.state: expected a number or null`);
+      }
+      if (node.manualInputs !== undefined && (!node.manualInputs || typeof node.manualInputs !== 'object')) {
+        errors.push(`${path}.manualInputs: expected an object`);
+      }
+      if (node.lastClock !== undefined && node.lastClock !== 0 && node.lastClock !== 1) {
+        errors.push(`${path}.lastClock: expected 0 or 1`);
+      }
+
+      if (node.type === 'IC' && !scratch.library.has(node.component)) {
+        errors.push(`${path}.component: no component named ${JSON.stringify(node.component)} in the library`);
+        return;
+      }
+      const config = typeof node.type === 'string' ? scratch.getNodeConfig(node.type, node.component, node.bits) : null;
+      if (!config) {
+        errors.push(`${path}.type: unknown node type ${JSON.stringify(node.type)}`);
+        return;
+      }
+      if (config.wide && node.bits !== undefined && node.bits !== config.bits) {
+        errors.push(`${path}.bits: ${node.type} supports widths ${config.widths.join(', ')}, not ${node.bits}`);
+      }
+      if (node.type === 'CLOCK' && node.frequency !== undefined && !(node.frequency > 0)) {
+        errors.push(`${path}.frequency: expected a positive number`);
+      }
+      configs.set(node.id, { config });
+    });
+
+    const drivers = new Map();
+    wires.forEach((wire, index) => {
+      const path = at(`wires[${index}]`);
+      if (!wire || typeof wire !== 'object' || !wire.from || !wire.to) {
+        errors.push(`${path}: expected an object with from and to endpoints`);
+        return;
+      }
+
+      const ends = [['from', 'outputs'], ['to', 'inputs']].map(([end, side]) => {
+        const { node: nodeId, pin } = wire[end];
+        const target = configs.get(nodeId);
+        if (!target) {
+          errors.push(`${path}.${end}.node: no node ${JSON.stringify(nodeId)}`);
+          return null;
+        }
+        const count = target.config[side];
+        if (!Number.isInteger(pin) || pin < 0 || pin >= count) {
+          errors.push(`${path}.${end}.pin: ${JSON.stringify(pin)} is out of range, node ${nodeId} has ${count} ${count === 1 ? side.slice(0, -1) : side}`);
+          return null;
+        }
+        return target;
+      });
+      if (!ends[0] || !ends[1]) return;
+
+      const key = `${wire.to.node}:${wire.to.pin}`;
+      if (drivers.has(key)) {
+        errors.push(`${path}.to: input ${wire.to.pin} of node ${wire.to.node} is already driven by ${at(`wires[${drivers.get(key)}]`)}`);
+      }
+      drivers.set(key, index);
+
+      const fromWidth = scratch.getOutputWidth(ends[0], wire.from.pin);
+      const toWidth = scratch.getInputWidth(ends[1], wire.to.pin);
+      if (fromWidth !== toWidth) {
+        errors.push(`${path}: ${fromWidth}-bit output of node ${wire.from.node} drives ${toWidth}-bit input of node ${wire.to.node}`);
+      }
+    });
+  }
+
+  // True if the definition, or any component nested in it, uses `name`
+  function containsComponent(library, definition, name, visited) {
+    return definition.nodes.some(node => {
+      if (!node || node.type !== 'IC' || !library.has(node.component)) return false;
+      if (node.component === name) return true;
+      if (visited.has(node.component)) return false;
+      visited.add(node.component);
+      return containsComponent(library, library.get(node.component), name, visited);
+    });
+  }
+
+  // Builds a circuit from saved JSON and settles it, ready to evaluate
+  function loadCircuit(data) {
+    const circuit = new LogicCircuit();
+    circuit.loadCircuit(data);
+    circuit.propagate();
+    return circuit;
+  }
+
+  const LogicCore = {
+    MIN_GATE_DELAY, maskToWidth, CircuitInstance, LogicCircuit, CIRCUIT_FORMAT_VERSION, migrateCircuit, validateCircuit, loadCircuit
+  };
+  if (typeof module === 'object' && module.exports) module.exports = LogicCore;
+  else root.LogicCore = LogicCore;
+})(typeof window !== 'undefined' ? window : globalThis);
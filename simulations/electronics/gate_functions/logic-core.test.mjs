@@ -0,0 +1,553 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LogicCore from './logic-core.js';
+
+const { CIRCUIT_FORMAT_VERSION, LogicCircuit, loadCircuit, maskToWidth, migrateCircuit, validateCircuit } = LogicCore;
+
+// Wires INPUT nodes into pins 0..n-1 of a node of the given type
+function harness(type, inputCount, options = {}) {
+  const circuit = new LogicCircuit();
+  const gate = circuit.createNode(type, 200, 0, options.component, options.bits);
+  const inputs = [];
+  for (let i = 0; i < inputCount; i++) {
+    inputs.push(circuit.createNode('INPUT', 0, i * 100));
+    circuit.createWire(inputs[i], 0, gate, i);
+  }
+  const apply = (...values) => {
+    values.forEach((value, i) => circuit.setInputState(inputs[i], value));
+    circuit.propagate();
+    return circuit.evaluateOutputs(gate);
+  };
+  return { circuit, gate, inputs, apply };
+}
+
+// Drives bus pins through their unwired manual inputs
+function wide(type, bits) {
+  const circuit = new LogicCircuit();
+  const gate = circuit.createNode(type, 0, 0, undefined, bits);
+  const node = circuit.nodes.get(gate);
+  const apply = (...values) => {
+    values.forEach((value, i) => { node.manualInputs[i] = value; });
+    return circuit.evaluateOutputs(gate);
+  };
+  return { circuit, gate, node, apply };
+}
+
+const truthTable = (type) => {
+  const { apply } = harness(type, 2);
+  return [[0, 0], [0, 1], [1, 0], [1, 1]].map(([a, b]) => apply(a, b)[0]);
+};
+
+describe('combinational gates', () => {
+  it('AND, OR, NAND, NOR, XOR and XNOR follow their truth tables', () => {
+    assert.deepEqual(truthTable('AND'), [0, 0, 0, 1]);
+    assert.deepEqual(truthTable('OR'), [0, 1, 1, 1]);
+    assert.deepEqual(truthTable('NAND'), [1, 1, 1, 0]);
+    assert.deepEqual(truthTable('NOR'), [1, 0, 0, 0]);
+    assert.deepEqual(truthTable('XOR'), [0, 1, 1, 0]);
+    assert.deepEqual(truthTable('XNOR'), [1, 0, 0, 1]);
+  });
+
+  it('NOT inverts and OUTPUT follows its input', () => {
+    const { circuit, gate, inputs } = harness('NOT', 1);
+    const output = circuit.createNode('OUTPUT', 400, 0);
+    circuit.createWire(gate, 0, output, 0);
+    assert.equal(circuit.evaluateNode(output), 1);
+    circuit.setInputState(inputs[0], 1);
+    assert.equal(circuit.evaluateNode(output), 0);
+  });
+
+  it('uses manual values on unwired input pins', () => {
+    const circuit = new LogicCircuit();
+    const and = circuit.createNode('AND');
+    assert.equal(circuit.evaluateNode(and), 0);
+    circuit.nodes.get(and).manualInputs = { 0: 1, 1: 1 };
+    assert.equal(circuit.evaluateNode(and), 1);
+  });
+
+  it('rejects unknown node types', () => {
+    assert.equal(new LogicCircuit().createNode('FLUX_CAPACITOR'), null);
+  });
+});
+
+describe('sequential elements', () => {
+  it('CLOCK outputs its state', () => {
+    const circuit = new LogicCircuit();
+    const clock = circuit.createNode('CLOCK');
+    assert.equal(circuit.evaluateNode(clock), 0);
+    circuit.nodes.get(clock).state = 1;
+    assert.equal(circuit.evaluateNode(clock), 1);
+  });
+
+  it('SR latch sets, holds, resets and flags S = R = 1', () => {
+    const { apply } = harness('SR_LATCH', 2);
+    assert.deepEqual(apply(1, 0), [1, 0]);
+    assert.deepEqual(apply(0, 0), [1, 0]);
+    assert.deepEqual(apply(0, 1), [0, 1]);
+    assert.deepEqual(apply(1, 1), [0, 0]);
+  });
+
+  it('D flip-flop samples D on the rising clock edge only', () => {
+    const { apply } = harness('D_FF', 2);
+    assert.deepEqual(apply(1, 0), [0, 1]);
+    assert.deepEqual(apply(1, 1), [1, 0]);
+    assert.deepEqual(apply(0, 1), [1, 0]);
+    assert.deepEqual(apply(0, 0), [1, 0]);
+    assert.deepEqual(apply(0, 1), [0, 1]);
+  });
+
+  it('JK flip-flop sets, resets and toggles', () => {
+    const { apply } = harness('JK_FF', 3);
+    const pulse = (j, k) => { apply(j, k, 0); return apply(j, k, 1)[0]; };
+    assert.equal(pulse(1, 0), 1);
+    assert.equal(pulse(0, 0), 1);
+    assert.equal(pulse(0, 1), 0);
+    assert.equal(pulse(1, 1), 1);
+    assert.equal(pulse(1, 1), 0);
+  });
+
+  it('T flip-flops chain into a ripple counter', () => {
+    const circuit = new LogicCircuit();
+    const clock = circuit.createNode('INPUT');
+    const t0 = circuit.createNode('T_FF');
+    const t1 = circuit.createNode('T_FF');
+    [t0, t1].forEach(id => { circuit.nodes.get(id).manualInputs[0] = 1; });
+    circuit.createWire(clock, 0, t0, 1);
+    circuit.createWire(t0, 1, t1, 1);
+    circuit.propagate();
+
+    const counts = [circuit.evaluateNode(t1) * 2 + circuit.evaluateNode(t0)];
+    for (let i = 0; i < 4; i++) {
+      circuit.setInputState(clock, 1);
+      circuit.propagate();
+      circuit.setInputState(clock, 0);
+      circuit.propagate();
+      counts.push(circuit.evaluateNode(t1) * 2 + circuit.evaluateNode(t0));
+    }
+    // Q̄ starts high, so the power-up state is arbitrary; each clock counts up by one
+    assert.deepEqual(counts.slice(1).map((count, i) => (count - counts[i] + 4) % 4), [1, 1, 1, 1]);
+  });
+});
+
+describe('cycle detection', () => {
+  it('flags purely combinational feedback', () => {
+    const circuit = new LogicCircuit();
+    const not = circuit.createNode('NOT');
+    circuit.createWire(not, 0, not, 0);
+    assert.equal(circuit.detectCycles(), true);
+    assert.equal(circuit.propagate().hasCycle, true);
+  });
+
+  it('allows feedback through a flip-flop', () => {
+    const circuit = new LogicCircuit();
+    const dff = circuit.createNode('D_FF');
+    circuit.createWire(dff, 1, dff, 0);
+    assert.equal(circuit.detectCycles(), false);
+  });
+
+  it('allows feedback through a component holding a flip-flop', () => {
+    const circuit = new LogicCircuit();
+    circuit.library.set('Toggle', {
+      name: 'Toggle',
+      inputs: [{ id: 'd', label: 'D' }, { id: 'clk', label: 'CLK' }],
+      outputs: [{ id: 'nq', label: 'Q̄' }],
+      nodes: [
+        { id: 'd', type: 'INPUT', x: 0, y: 0 },
+        { id: 'clk', type: 'INPUT', x: 0, y: 100 },
+        { id: 'ff', type: 'D_FF', x: 100, y: 0 },
+        { id: 'nq', type: 'OUTPUT', x: 200, y: 0 }
+      ],
+      wires: [
+        { from: { node: 'd', pin: 0 }, to: { node: 'ff', pin: 0 } },
+        { from: { node: 'clk', pin: 0 }, to: { node: 'ff', pin: 1 } },
+        { from: { node: 'ff', pin: 1 }, to: { node: 'nq', pin: 0 } }
+      ]
+    });
+    const ic = circuit.createNode('IC', 0, 0, 'Toggle');
+    const clock = circuit.createNode('INPUT');
+    circuit.createWire(ic, 0, ic, 0);
+    circuit.createWire(clock, 0, ic, 1);
+    assert.equal(circuit.detectCycles(), false);
+
+    // The loop settles as a toggle: one flip per rising edge
+    const q = [];
+    for (let i = 0; i < 3; i++) {
+      circuit.setInputState(clock, 1);
+      assert.deepEqual(circuit.propagate(), { hasCycle: false, settled: true });
+      q.push(circuit.evaluateNode(ic));
+      circuit.setInputState(clock, 0);
+      circuit.propagate();
+    }
+    assert.deepEqual(q, [0, 1, 0]);
+  });
+});
+
+describe('wide components', () => {
+  it('masks values to the pin width', () => {
+    assert.equal(maskToWidth(0x1F, 4), 0xF);
+    assert.equal(maskToWidth(undefined, 4), 0);
+  });
+
+  it('splitter and merger convert between a bus and its bits', () => {
+    assert.deepEqual(wide('SPLITTER', 4).apply(0b1010), [0, 1, 0, 1]);
+    assert.deepEqual(wide('MERGER', 4).apply(1, 1, 0, 1), [0b1011]);
+  });
+
+  it('adder produces sum and carry', () => {
+    const { apply } = wide('ADDER', 4);
+    assert.deepEqual(apply(9, 8, 0), [1, 1]);
+    assert.deepEqual(apply(7, 1, 1), [9, 0]);
+  });
+
+  it('mux selects one of four buses', () => {
+    const { apply } = wide('MUX', 8);
+    assert.deepEqual(apply(10, 20, 30, 40, 2), [30]);
+  });
+
+  it('decoder is one-hot and encoder picks the highest line', () => {
+    assert.deepEqual(wide('DECODER', 2).apply(2), [0, 0, 1, 0]);
+    assert.deepEqual(wide('ENCODER', 2).apply(1, 0, 1, 0), [2, 1]);
+    assert.deepEqual(wide('ENCODER', 2).apply(0, 0, 0, 0), [0, 0]);
+  });
+
+  it('comparator reports less, equal and greater', () => {
+    const { apply } = wide('COMPARATOR', 4);
+    assert.deepEqual(apply(3, 5), [1, 0, 0]);
+    assert.deepEqual(apply(5, 5), [0, 1, 0]);
+    assert.deepEqual(apply(6, 5), [0, 0, 1]);
+  });
+
+  it('displays take inputs and drive nothing', () => {
+    const circuit = new LogicCircuit();
+    const seven = circuit.createNode('SEVEN_SEG');
+    const hex = circuit.createNode('HEX_DISPLAY', 0, 0, undefined, 8);
+    assert.equal(circuit.nodes.get(seven).config.inputs, 7);
+    assert.deepEqual(circuit.nodes.get(hex).config.inputWidths, [8]);
+    assert.deepEqual(circuit.evaluateOutputs(hex), []);
+  });
+
+  it('falls back to a supported width', () => {
+    const circuit = new LogicCircuit();
+    const adder = circuit.createNode('ADDER', 0, 0, undefined, 5);
+    assert.equal(circuit.nodes.get(adder).bits, 4);
+  });
+});
+
+describe('components', () => {
+  const halfAdder = {
+    name: 'HalfAdder',
+    inputs: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }],
+    outputs: [{ id: 's', label: 'Q1' }, { id: 'c', label: 'Q2' }],
+    nodes: [
+      { id: 'a', type: 'INPUT', x: 0, y: 0 },
+      { id: 'b', type: 'INPUT', x: 0, y: 100 },
+      { id: 'x', type: 'XOR', x: 100, y: 0 },
+      { id: 'n', type: 'AND', x: 100, y: 100 },
+      { id: 's', type: 'OUTPUT', x: 200, y: 0 },
+      { id: 'c', type: 'OUTPUT', x: 200, y: 100 }
+    ],
+    wires: [
+      { from: { node: 'a', pin: 0 }, to: { node: 'x', pin: 0 } },
+      { from: { node: 'b', pin: 0 }, to: { node: 'x', pin: 1 } },
+      { from: { node: 'a', pin: 0 }, to: { node: 'n', pin: 0 } },
+      { from: { node: 'b', pin: 0 }, to: { node: 'n', pin: 1 } },
+      { from: { node: 'x', pin: 0 }, to: { node: 's', pin: 0 } },
+      { from: { node: 'n', pin: 0 }, to: { node: 'c', pin: 0 } }
+    ]
+  };
+
+  it('evaluates an IC from its library definition', () => {
+    const circuit = new LogicCircuit();
+    circuit.library.set('HalfAdder', halfAdder);
+    const ic = circuit.createNode('IC', 0, 0, 'HalfAdder');
+    circuit.nodes.get(ic).manualInputs = { 0: 1, 1: 1 };
+    assert.deepEqual(circuit.evaluateOutputs(ic), [0, 1]);
+  });
+
+  it('rejects ICs missing from the library', () => {
+    assert.equal(new LogicCircuit().createNode('IC', 0, 0, 'Nope'), null);
+  });
+});
+
+describe('event-driven timing', () => {
+  it('a three-inverter ring oscillates with twice the loop delay', () => {
+    const circuit = new LogicCircuit();
+    const gates = [0, 1, 2].map(() => circuit.createNode('NOT'));
+    gates.forEach((id, i) => circuit.createWire(id, 0, gates[(i + 1) % 3], 0));
+    circuit.eventMode = true;
+    circuit.resetTiming();
+    circuit.propagate();
+
+    const edges = [];
+    let last = circuit.getSignal(gates[0], 0);
+    for (let t = 0.5; t <= 20; t += 0.5) {
+      circuit.advanceTo(t);
+      const value = circuit.getSignal(gates[0], 0);
+      if (value !== last) edges.push(t);
+      last = value;
+    }
+    // Each NOT has 1 ns delay, so the output flips every 3 ns
+    assert.deepEqual(edges.slice(1, 4).map((t, i) => t - edges[i]), [3, 3, 3]);
+  });
+
+  it('delays a gate output by its configured propagation delay', () => {
+    const { circuit, gate, inputs } = harness('AND', 2);
+    circuit.eventMode = true;
+    circuit.resetTiming();
+    circuit.setInputState(inputs[0], 1);
+    circuit.setInputState(inputs[1], 1);
+    circuit.propagate();
+
+    circuit.advanceTo(1.9);
+    assert.equal(circuit.getSignal(gate, 0), 0);
+    circuit.advanceTo(2);
+    assert.equal(circuit.getSignal(gate, 0), 1);
+  });
+});
+
+describe('file format', () => {
+  const saved = {
+    version: '3.0',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    nodes: [
+      { id: 'node_1', type: 'INPUT', x: 48, y: 48, width: 180, height: 120, state: 1, manualInputs: {} },
+      { id: 'node_2', type: 'INPUT', x: 48, y: 192, width: 180, height: 120, state: 1, manualInputs: {} },
+      { id: 'node_3', type: 'NAND', x: 288, y: 96, width: 200, height: 120, state: null, manualInputs: {} },
+      { id: 'node_4', type: 'OUTPUT', x: 528, y: 96, width: 180, height: 120, state: null, manualInputs: {} },
+      { id: 'node_5', type: 'CLOCK', x: 48, y: 336, width: 180, height: 120, state: 0, manualInputs: {}, frequency: 4 },
+      { id: 'node_6', type: 'ADDER', x: 288, y: 336, width: 180, height: 192, state: null, manualInputs: { 0: 3, 1: 4 }, bits: 8 }
+    ],
+    wires: [
+      { id: 'wire_7', from: { node: 'node_1', pin: 0 }, to: { node: 'node_3', pin: 0 } },
+      { id: 'wire_8', from: { node: 'node_2', pin: 0 }, to: { node: 'node_3', pin: 1 } },
+      { id: 'wire_9', from: { node: 'node_3', pin: 0 }, to: { node: 'node_4', pin: 0 }, probe: true }
+    ],
+    library: { components: [] },
+    timing: { gateDelays: { NAND: 5 } }
+  };
+
+  it('loads nodes, wires, state and settings', () => {
+    const circuit = loadCircuit(saved);
+    const byType = (type) => Array.from(circuit.nodes.values()).find(node => node.type === type);
+
+    assert.equal(circuit.nodes.size, 6);
+    assert.equal(circuit.wires.size, 3);
+    assert.equal(circuit.evaluateNode(byType('OUTPUT').id), 0);
+    assert.equal(byType('NAND').width, 200);
+    assert.equal(byType('CLOCK').frequency, 4);
+    assert.equal(byType('ADDER').bits, 8);
+    assert.equal(circuit.evaluateNode(byType('ADDER').id), 7);
+    assert.equal(circuit.gateDelays.NAND, 5);
+    assert.equal(Array.from(circuit.wires.values()).filter(wire => wire.probe).length, 1);
+  });
+
+  it('resets gate delays the next file does not set', () => {
+    const circuit = loadCircuit(saved);
+    circuit.gateDelays.AND = 7;
+    // Migrated 2.x files carry no timing at all
+    const untimed = { ...saved, version: '2.0' };
+    delete untimed.timing;
+    circuit.loadCircuit(untimed);
+    assert.equal(circuit.gateDelays.NAND, new LogicCircuit().gateDelays.NAND);
+    assert.equal(circuit.gateDelays.AND, 2);
+    circuit.loadCircuit({ ...saved, timing: { gateDelays: { AND: 4 } } });
+    assert.deepEqual([circuit.gateDelays.AND, circuit.gateDelays.NAND], [4, 1]);
+  });
+
+  it('rejects malformed files without touching the circuit', () => {
+    const circuit = loadCircuit(saved);
+    assert.throws(
+      () => circuit.loadCircuit({ ...saved, nodes: [...saved.nodes, { id: 'x', type: 'WARP_CORE' }] }),
+      /nodes\[6\]\.type: unknown node type "WARP_CORE"/
+    );
+    assert.equal(circuit.nodes.size, 6);
+  });
+
+  it('round-trips through serializeCircuit', () => {
+    const circuit = loadCircuit(saved);
+    const data = JSON.parse(JSON.stringify(circuit.serializeCircuit()));
+    const reloaded = loadCircuit(data);
+
+    assert.equal(data.version, CIRCUIT_FORMAT_VERSION);
+    assert.deepEqual(
+      data.nodes.map(node => [node.type, node.x, node.y, node.state]),
+      JSON.parse(JSON.stringify(reloaded.serializeCircuit())).nodes.map(node => [node.type, node.x, node.y, node.state])
+    );
+    assert.equal(reloaded.wires.size, circuit.wires.size);
+  });
+
+  it('keeps the clock level a flip-flop last saw', () => {
+    const { circuit, apply } = harness('D_FF', 2);
+    assert.deepEqual(apply(1, 1), [1, 0]);
+    apply(0, 1);
+
+    // D changed while the clock stayed high: no edge after reloading either
+    const reloaded = loadCircuit(JSON.parse(JSON.stringify(circuit.serializeCircuit())));
+    const dff = Array.from(reloaded.nodes.values()).find(node => node.type === 'D_FF');
+    assert.equal(dff.lastClock, 1);
+    reloaded.propagate();
+    assert.deepEqual(reloaded.evaluateOutputs(dff.id), [1, 0]);
+  });
+
+  it('stores the component library with the circuit', () => {
+    const circuit = new LogicCircuit();
+    circuit.library.set('Buffer', {
+      name: 'Buffer',
+      inputs: [{ id: 'i', label: 'A' }],
+      outputs: [{ id: 'o', label: 'Q' }],
+      nodes: [{ id: 'i', type: 'INPUT', x: 0, y: 0 }, { id: 'o', type: 'OUTPUT', x: 100, y: 0 }],
+      wires: [{ from: { node: 'i', pin: 0 }, to: { node: 'o', pin: 0 } }]
+    });
+    const ic = circuit.createNode('IC', 0, 0, 'Buffer');
+    circuit.nodes.get(ic).manualInputs[0] = 1;
+
+    const reloaded = loadCircuit(JSON.parse(JSON.stringify(circuit.serializeCircuit())));
+    const node = Array.from(reloaded.nodes.values())[0];
+    assert.equal(node.component, 'Buffer');
+    assert.equal(reloaded.evaluateNode(node.id), 1);
+  });
+});
+
+describe('file migration', () => {
+  // As written by gate.html's export button and gatev1–v3
+  const legacy = {
+    nodes: [
+      { id: 'n1', type: 'INPUT', x: 80, y: 80, state: 1, manualInputs: {} },
+      { id: 'n2', type: 'INPUT', x: 80, y: 220, state: 1, manualInputs: {} },
+      { id: 'n3', type: 'AND', x: 360, y: 150, state: 0, manualInputs: {} },
+      { id: 'n4', type: 'OUTPUT', x: 620, y: 150, state: 0, manualInputs: {} }
+    ],
+    edges: [
+      { id: 'e5', from: { node: 'n1', pin: 0 }, to: { node: 'n3', pin: 0 } },
+      { id: 'e6', from: { node: 'n2', pin: 0 }, to: { node: 'n3', pin: 1 } },
+      { id: 'e7', from: { node: 'n3', pin: 0 }, to: { node: 'n4', pin: 0 } }
+    ]
+  };
+  // gatev4 and gatev5/5.1 wrote the same nodes as `wires` with a version
+  const v2 = (version, extra = {}) => ({
+    version,
+    timestamp: '2024-01-01T00:00:00.000Z',
+    nodes: legacy.nodes.map(node => ({ ...node, ...extra })),
+    wires: legacy.edges.map(edge => ({ ...edge, id: edge.id.replace('e', 'wire_') }))
+  });
+
+  it('upgrades unversioned gate.html and gatev1–v3 files', () => {
+    const data = migrateCircuit(legacy);
+    assert.equal(data.version, CIRCUIT_FORMAT_VERSION);
+    assert.equal(data.edges, undefined);
+    assert.equal(data.wires.length, 3);
+    assert.deepEqual(data.library, { components: [] });
+    assert.equal(data.nodes[0].width, 180);
+    assert.deepEqual(validateCircuit(data), []);
+    assert.ok(legacy.edges, 'the original is not modified');
+  });
+
+  for (const [editor, version, extra] of [
+    ['gatev4', '2.0', {}],
+    ['gatev5', '2.1', { width: 200, height: 140 }],
+    ['gatev6', '2.2', { width: 200, height: 140 }]
+  ]) {
+    it(`loads ${editor} (version ${version}) files`, () => {
+      const circuit = loadCircuit(v2(version, extra));
+      const output = Array.from(circuit.nodes.values()).find(node => node.type === 'OUTPUT');
+      assert.equal(circuit.wires.size, 3);
+      assert.equal(circuit.evaluateNode(output.id), 1);
+      assert.equal(output.width, extra.width || 180);
+    });
+  }
+
+  it('evaluates legacy files the same way', () => {
+    const circuit = loadCircuit(legacy);
+    const output = Array.from(circuit.nodes.values()).find(node => node.type === 'OUTPUT');
+    assert.equal(circuit.evaluateNode(output.id), 1);
+  });
+
+  it('refuses files from newer or unknown versions', () => {
+    assert.throws(() => migrateCircuit({ version: '9.0', nodes: [], wires: [] }), /saved by a newer editor/);
+    assert.throws(() => migrateCircuit({ version: 'beta', nodes: [], wires: [] }), /unknown version "beta"/);
+    assert.throws(() => migrateCircuit([]), /expected a JSON object/);
+  });
+});
+
+describe('file validation', () => {
+  const file = (nodes, wires = [], extra = {}) => ({
+    version: CIRCUIT_FORMAT_VERSION, nodes, wires, library: { components: [] }, ...extra
+  });
+  const node = (id, type, extra = {}) => ({ id, type, x: 0, y: 0, ...extra });
+  const wire = (from, fromPin, to, toPin) => ({ from: { node: from, pin: fromPin }, to: { node: to, pin: toPin } });
+
+  it('accepts what serializeCircuit writes', () => {
+    const circuit = new LogicCircuit();
+    const a = circuit.createNode('INPUT');
+    const adder = circuit.createNode('ADDER', 0, 0, undefined, 8);
+    const d = circuit.createNode('D_FF');
+    circuit.createWire(a, 0, adder, 2);
+    circuit.createWire(adder, 1, d, 0);
+    assert.deepEqual(validateCircuit(JSON.parse(JSON.stringify(circuit.serializeCircuit()))), []);
+  });
+
+  it('reports missing sections', () => {
+    assert.deepEqual(validateCircuit({ version: CIRCUIT_FORMAT_VERSION, nodes: {}, wires: [] }), [
+      'library.components: expected an array',
+      'nodes: expected an array'
+    ]);
+  });
+
+  it('reports bad nodes by index', () => {
+    const errors = validateCircuit(file([
+      node('a', 'INPUT', { x: 'left' }),
+      node('a', 'INPUT'),
+      node('b', 'MUX', { bits: 3 }),
+      node('c', 'IC', { component: 'Missing' }),
+      node('d', 'CLOCK', { frequency: -1 })
+    ]));
+    assert.deepEqual(errors, [
+      'nodes[0].x: expected a number',
+      'nodes[1].id: duplicate node id "a"',
+      'nodes[2].bits: MUX supports widths 1, 2, 4, 8, 16, not 3',
+      'nodes[3].component: no component named "Missing" in the library',
+      'nodes[4].frequency: expected a positive number'
+    ]);
+    assert.deepEqual(validateCircuit(file([node(7, 'INPUT'), node(null, 'INPUT')])), ['nodes[1].id: expected a string or number']);
+  });
+
+  it('reports bad wires by index', () => {
+    const errors = validateCircuit(file(
+      [node('a', 'INPUT'), node('b', 'NOT'), node('bus', 'SPLITTER', { bits: 4 })],
+      [wire('a', 0, 'b', 0), wire('a', 0, 'b', 0), wire('a', 1, 'b', 0), wire('ghost', 0, 'b', 0), wire('a', 0, 'bus', 0)]
+    ));
+    assert.deepEqual(errors, [
+      'wires[1].to: input 0 of node b is already driven by wires[0]',
+      'wires[2].from.pin: 1 is out of range, node a has 1 output',
+      'wires[3].from.node: no node "ghost"',
+      'wires[4]: 1-bit output of node a drives 4-bit input of node bus'
+    ]);
+  });
+
+  it('rejects gate delays the editor would not allow', () => {
+    const timing = (gateDelays) => validateCircuit(file([], [], { timing: { gateDelays } }));
+    assert.deepEqual(timing({ NOT: 0.1, AND: 20 }), []);
+    // A zero-delay loop would never let simulated time advance
+    assert.deepEqual(timing({ NOT: 0, AND: -1, OR: '2' }), [
+      'timing.gateDelays.NOT: expected a number of at least 0.1',
+      'timing.gateDelays.AND: expected a number of at least 0.1',
+      'timing.gateDelays.OR: expected a number of at least 0.1'
+    ]);
+  });
+
+  it('checks component definitions', () => {
+    const loop = {
+      name: 'Loop',
+      inputs: [{ id: 'i', label: 'A' }],
+      outputs: [{ id: 'missing', label: 'Q' }],
+      nodes: [node('i', 'INPUT'), node('self', 'IC', { component: 'Loop' })],
+      wires: [wire('i', 0, 'self', 0)]
+    };
+    assert.deepEqual(validateCircuit(file([], [], { library: { components: [loop, { name: 'Loop' }] } })), [
+      'library.components[1].name: duplicate component "Loop"',
+      'library.components[0].outputs[0].id: no node "missing" in the component',
+      'library.components[0]: component "Loop" contains itself'
+    ]);
+  });
+});
@@ -0,0 +1,641 @@
+// Verilog export and import for gatev6 circuits.
+//
+//   const { exportVerilog, parseVerilog } = require('./verilog.js');
+//   const source = exportVerilog(circuit, 'half_adder');
+//   circuit.loadCircuit(parseVerilog(source));
+//
+// Export writes one module per library component plus the top module.
+// Gates become primitives; flip-flops and wide parts become assign and
+// always blocks. Import reads a flat gate-level netlist (primitives and
+// simple assigns only) and lays it out in columns by logic depth.
+(function (root) {
+  'use strict';
+
+  const { CIRCUIT_FORMAT_VERSION } = typeof module === 'object' && module.exports
+    ? require('./logic-core.js')
+    : root.LogicCore;
+
+  const PRIMITIVES = {
+    and: 'AND', or: 'OR', nand: 'NAND', nor: 'NOR', xor: 'XOR', xnor: 'XNOR', not: 'NOT', buf: null
+  };
+
+  // Multi-input NAND/NOR/XNOR are chains of AND/OR/XOR closed by the inverting gate
+  const CHAIN_TYPES = { AND: 'AND', OR: 'OR', XOR: 'XOR', NAND: 'AND', NOR: 'OR', XNOR: 'XOR' };
+
+  const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+  // IEEE 1364-2005 reserved words, which cannot name a module, port or wire
+  const KEYWORDS = new Set([
+    'always', 'and', 'assign', 'automatic', 'begin', 'buf', 'bufif0', 'bufif1', 'case', 'casex', 'casez',
+    'cell', 'cmos', 'config', 'deassign', 'default', 'defparam', 'design', 'disable', 'edge', 'else', 'end',
+    'endcase', 'endconfig', 'endfunction', 'endgenerate', 'endmodule', 'endprimitive', 'endspecify',
+    'endtable', 'endtask', 'event', 'for', 'force', 'forever', 'fork', 'function', 'generate', 'genvar',
+    'highz0', 'highz1', 'if', 'ifnone', 'incdir', 'include', 'initial', 'inout', 'input', 'instance',
+    'integer', 'join', 'large', 'liblist', 'library', 'localparam', 'macromodule', 'medium', 'module',
+    'nand', 'negedge', 'nmos', 'nor', 'noshowcancelled', 'not', 'notif0', 'notif1', 'or', 'output',
+    'parameter', 'pmos', 'posedge', 'primitive', 'pull0', 'pull1', 'pulldown', 'pullup',
+    'pulsestyle_ondetect', 'pulsestyle_onevent', 'rcmos', 'real', 'realtime', 'reg', 'release', 'repeat',
+    'rnmos', 'rpmos', 'rtran', 'rtranif0', 'rtranif1', 'scalared', 'showcancelled', 'signed', 'small',
+    'specify', 'specparam', 'strong0', 'strong1', 'supply0', 'supply1', 'table', 'task', 'time', 'tran',
+    'tranif0', 'tranif1', 'tri', 'tri0', 'tri1', 'triand', 'trior', 'trireg', 'unsigned', 'use', 'uwire',
+    'vectored', 'wait', 'wand', 'weak0', 'weak1', 'while', 'wire', 'wor', 'xnor', 'xor'
+  ]);
+
+  // Export
+
+  function exportVerilog(circuit, moduleName = 'circuit') {
+    const data = circuit.serializeCircuit();
+
+    // Submodules are written before the modules that use them
+    const ordered = [];
+    const visit = (nodes) => nodes.forEach(node => {
+      if (node.type !== 'IC' || ordered.includes(node.component)) return;
+      visit(circuit.library.get(node.component).nodes);
+      ordered.push(node.component);
+    });
+    visit(data.nodes);
+
+    const modules = ordered.map(name => {
+      const definition = circuit.library.get(name);
+      const ports = componentPorts(definition);
+      [name, ...ports.inputs.map(port => port.name), ...ports.outputs.map(port => port.name)].forEach(checkName);
+      return writeModule(circuit, name, definition, ports);
+    });
+    checkName(moduleName);
+    modules.push(writeModule(circuit, moduleName, data, topLevelPorts(data)));
+
+    return `// Exported from the logic gate simulator\n\n${modules.join('\n')}`;
+  }
+
+  function checkName(name) {
+    if (!IDENTIFIER.test(name) || KEYWORDS.has(name)) {
+      throw new Error(`"${name}" cannot be a Verilog name: it is not an identifier or is a reserved word`);
+    }
+  }
+
+  // Ports in the order the editor lists them: inputs as A, B, C...,
+  // then clocks, then outputs and displays
+  function topLevelPorts(data) {
+    const names = new Set();
+    const claim = (base) => {
+      let name = base;
+      for (let i = 2; names.has(name); i++) name = `${base}_${i}`;
+      names.add(name);
+      return name;
+    };
+    const ofType = (...types) => data.nodes.filter(node => types.includes(node.type));
+
+    const inputs = ofType('INPUT');
+    const clocks = ofType('CLOCK');
+    const outputs = ofType('OUTPUT');
+    const displays = ofType('SEVEN_SEG', 'HEX_DISPLAY');
+
+    return {
+      inputs: [
+        ...inputs.map((node, index) => ({ node, name: claim(index < 26 ? String.fromCharCode(65 + index) : `I${index}`) })),
+        ...clocks.map((node, index) => ({ node, name: claim(clocks.length === 1 ? 'CLK' : `CLK${index + 1}`) }))
+      ],
+      outputs: [
+        ...outputs.map((node, index) => ({ node, name: claim(outputs.length === 1 ? 'Q' : `Q${index + 1}`) })),
+        ...displays.map((node, index) => ({
+          node,
+          name: claim(`${node.type === 'SEVEN_SEG' ? 'SEG' : 'HEX'}${index + 1}`)
+        }))
+      ]
+    };
+  }
+
+  // Component pins keep the labels shown on the IC
+  function componentPorts(definition) {
+    const byId = new Map(definition.nodes.map(node => [node.id, node]));
+    return {
+      inputs: definition.inputs.map(pin => ({ node: byId.get(pin.id), name: pin.label })),
+      outputs: definition.outputs.map(pin => ({ node: byId.get(pin.id), name: pin.label }))
+    };
+  }
+
+  function writeModule(circuit, name, network, ports) {
+    const nodes = new Map(network.nodes.map(node => [node.id, {
+      ...node,
+      config: circuit.getNodeConfig(node.type, node.component, node.bits)
+    }]));
+    const drivers = new Map();
+    network.wires.forEach(wire => drivers.set(`${wire.to.node}:${wire.to.pin}`, wire.from));
+
+    const portNames = new Map();
+    ports.inputs.forEach(port => portNames.set(port.node.id, port.name));
+
+    const suffix = (nodeId) => nodeId.replace(/^node_/, '').replace(/\W/g, '_');
+    const widthOf = (node, side, pin) => (node.config[`${side}Widths`] && node.config[`${side}Widths`][pin]) || 1;
+    const range = (width) => width > 1 ? `[${width - 1}:0] ` : '';
+    const netName = (nodeId, pin) => {
+      if (portNames.has(nodeId)) return portNames.get(nodeId);
+      return nodes.get(nodeId).config.outputs > 1 ? `n${suffix(nodeId)}_${pin}` : `n${suffix(nodeId)}`;
+    };
+    // An unwired input reads its manual test value
+    const source = (node, pin) => {
+      const driver = drivers.get(`${node.id}:${pin}`);
+      if (driver && nodes.has(driver.node)) return netName(driver.node, driver.pin);
+      const width = widthOf(node, 'input', pin);
+      const value = (node.manualInputs && node.manualInputs[pin]) || 0;
+      return width === 1 ? `1'b${value ? 1 : 0}` : `${width}'d${value}`;
+    };
+
+    const declarations = [
+      ...ports.inputs.map(port => `  input ${port.name};`),
+      ...ports.outputs.map(port => {
+        const width = port.node.type === 'SEVEN_SEG' ? 7 : (port.node.type === 'HEX_DISPLAY' ? port.node.bits : 1);
+        return `  output ${range(width)}${port.name};`;
+      })
+    ];
+    const wires = [];
+    const body = [];
+
+    nodes.forEach(node => {
+      if (node.type === 'INPUT' || node.type === 'CLOCK') return;
+
+      for (let pin = 0; pin < node.config.outputs; pin++) {
+        wires.push(`  wire ${range(widthOf(node, 'output', pin))}${netName(node.id, pin)};`);
+      }
+      const input = (pin) => source(node, pin);
+      const out = (pin = 0) => netName(node.id, pin);
+      const port = ports.outputs.find(entry => entry.node.id === node.id);
+
+      switch (node.type) {
+        case 'OUTPUT':
+        case 'HEX_DISPLAY':
+          if (port) body.push(`  assign ${port.name} = ${input(0)};`);
+          break;
+
+        case 'SEVEN_SEG':
+          if (port) body.push(`  assign ${port.name} = {${[6, 5, 4, 3, 2, 1, 0].map(input).join(', ')}};`);
+          break;
+
+        case 'NOT':
+          body.push(`  not g${suffix(node.id)} (${out()}, ${input(0)});`);
+          break;
+
+        case 'AND':
+        case 'OR':
+        case 'NAND':
+        case 'NOR':
+        case 'XOR':
+        case 'XNOR':
+          body.push(`  ${node.type.toLowerCase()} g${suffix(node.id)} (${out()}, ${input(0)}, ${input(1)});`);
+          break;
+
+        case 'SR_LATCH':
+        case 'D_FF':
+        case 'JK_FF':
+        case 'T_FF':
+          body.push(...writeStateful(node, `n${suffix(node.id)}_q`, input, out));
+          break;
+
+        case 'IC': {
+          const definition = circuit.library.get(node.component);
+          const { inputs, outputs } = componentPorts(definition);
+          const connections = [
+            ...inputs.map((entry, pin) => `.${entry.name}(${input(pin)})`),
+            ...outputs.map((entry, pin) => `.${entry.name}(${out(pin)})`)
+          ];
+          body.push(`  ${node.component} u${suffix(node.id)} (${connections.join(', ')});`);
+          break;
+        }
+
+        default:
+          body.push(...writeWide(node, input, out));
+      }
+    });
+
+    const portList = [...ports.inputs, ...ports.outputs].map(port => port.name).join(', ');
+    return [
+      `module ${name} (${portList});`,
+      ...declarations,
+      ...(wires.length ? ['', ...wires] : []),
+      ...(body.length ? ['', ...body] : []),
+      'endmodule',
+      ''
+    ].join('\n');
+  }
+
+  function writeStateful(node, q, input, out) {
+    const lines = [`  reg ${q} = 1'b${node.state ? 1 : 0};`];
+
+    switch (node.type) {
+      case 'SR_LATCH': {
+        const [s, r] = [input(0), input(1)];
+        // S = R = 1 is forbidden: the simulator clears the latch and drops both outputs
+        lines.push(
+          `  always @(*) if (${s} & ${r}) ${q} = 1'b0; else if (${s}) ${q} = 1'b1; else if (${r}) ${q} = 1'b0;`,
+          `  assign ${out(0)} = ${q} & ~(${s} & ${r});`,
+          `  assign ${out(1)} = ~${q} & ~(${s} & ${r});`
+        );
+        return lines;
+      }
+
+      case 'D_FF':
+        lines.push(`  always @(posedge ${input(1)}) ${q} <= ${input(0)};`);
+        break;
+
+      case 'JK_FF':
+        lines.push(
+          `  always @(posedge ${input(2)})`,
+          `    case ({${input(0)}, ${input(1)}})`,
+          `      2'b10: ${q} <= 1'b1;`,
+          `      2'b01: ${q} <= 1'b0;`,
+          `      2'b11: ${q} <= ~${q};`,
+          '    endcase'
+        );
+        break;
+
+      case 'T_FF':
+        lines.push(`  always @(posedge ${input(1)}) if (${input(0)}) ${q} <= ~${q};`);
+        break;
+    }
+
+    lines.push(`  assign ${out(0)} = ${q};`, `  assign ${out(1)} = ~${q};`);
+    return lines;
+  }
+
+  function writeWide(node, input, out) {
+    const bits = node.bits;
+    const pins = (count, line) => Array.from({ length: count }, (_, i) => line(i));
+
+    switch (node.type) {
+      case 'SPLITTER':
+        return pins(bits, i => `  assign ${out(i)} = ${input(0)}[${i}];`);
+
+      case 'MERGER':
+        return [`  assign ${out()} = {${pins(bits, i => input(bits - 1 - i)).join(', ')}};`];
+
+      case 'ADDER':
+        return [`  assign {${out(1)}, ${out(0)}} = ${input(0)} + ${input(1)} + ${input(2)};`];
+
+      case 'MUX':
+        return [`  assign ${out()} = ${input(4)} == 2'd0 ? ${input(0)} : ${input(4)} == 2'd1 ? ${input(1)} : ${input(4)} == 2'd2 ? ${input(2)} : ${input(3)};`];
+
+      case 'DECODER':
+        return pins(1 << bits, i => `  assign ${out(i)} = ${input(0)} == ${bits}'d${i};`);
+
+      case 'ENCODER': {
+        // Priority goes to the highest-numbered active line
+        const lines = pins(1 << bits, i => input(i));
+        const index = lines.map((line, i) => `${line} ? ${bits}'d${i} : `).reverse().join('');
+        return [
+          `  assign ${out(0)} = ${index}${bits}'d0;`,
+          `  assign ${out(1)} = ${lines.join(' | ')};`
+        ];
+      }
+
+      case 'COMPARATOR':
+        return [
+          `  assign ${out(0)} = ${input(0)} < ${input(1)};`,
+          `  assign ${out(1)} = ${input(0)} == ${input(1)};`,
+          `  assign ${out(2)} = ${input(0)} > ${input(1)};`
+        ];
+    }
+    return [];
+  }
+
+  // Import
+
+  // Splits source into tokens with their line numbers, dropping comments
+  function tokenize(text) {
+    const tokens = [];
+    const pattern = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|\s+|\d+'[bBdDhH][0-9a-fA-FxXzZ_]+|[A-Za-z_][A-Za-z0-9_$]*|\d+|\\\S+|./g;
+    let line = 1;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const token = match[0];
+      if (!/^(\/\/|\/\*|\s)/.test(token)) tokens.push({ text: token, line });
+      line += (token.match(/\n/g) || []).length;
+    }
+    return tokens;
+  }
+
+  class NetlistParser {
+    constructor(text) {
+      this.tokens = tokenize(text);
+      this.position = 0;
+    }
+
+    peek() {
+      return this.tokens[this.position];
+    }
+
+    next() {
+      const token = this.tokens[this.position++];
+      if (!token) this.fail(this.tokens[this.tokens.length - 1], 'unexpected end of file');
+      return token;
+    }
+
+    expect(text) {
+      const token = this.next();
+      if (token.text !== text) this.fail(token, `expected "${text}" but found "${token.text}"`);
+      return token;
+    }
+
+    accept(text) {
+      if (this.peek() && this.peek().text === text) {
+        this.position++;
+        return true;
+      }
+      return false;
+    }
+
+    fail(token, message) {
+      throw new Error(`Verilog line ${token ? token.line : 1}: ${message}`);
+    }
+
+    identifier() {
+      const token = this.next();
+      if (!IDENTIFIER.test(token.text) || KEYWORDS.has(token.text)) {
+        this.fail(token, `expected a name but found "${token.text}"`);
+      }
+      return token.text;
+    }
+
+    // [msb:lsb] -> the bit indices it covers, or null for a scalar
+    range() {
+      if (!this.accept('[')) return null;
+      const msb = parseInt(this.next().text, 10);
+      this.expect(':');
+      const lsb = parseInt(this.next().text, 10);
+      this.expect(']');
+      const step = msb >= lsb ? -1 : 1;
+      const bits = [];
+      for (let bit = msb; bit !== lsb + step; bit += step) bits.push(bit);
+      return bits;
+    }
+
+    // A net reference (name or name[bit]) or a one-bit constant
+    terminal() {
+      const token = this.peek();
+      if (/^\d+'[bBdDhH]/.test(token.text) || /^\d+$/.test(token.text)) {
+        this.next();
+        const value = token.text.includes("'") ?
+          parseInt(token.text.split("'")[1].slice(1).replace(/_/g, ''), { b: 2, d: 10, h: 16 }[token.text.split("'")[1][0].toLowerCase()]) :
+          parseInt(token.text, 10);
+        if (value !== 0 && value !== 1) this.fail(token, `only one-bit constants are supported, found ${token.text}`);
+        return { constant: value, line: token.line };
+      }
+      const name = this.identifier();
+      if (this.accept('[')) {
+        const bit = this.next().text;
+        this.expect(']');
+        return { net: `${name}[${bit}]`, line: token.line };
+      }
+      return { net: name, line: token.line };
+    }
+
+    parse() {
+      this.expect('module');
+      const netlist = {
+        name: this.identifier(), ports: [], inputs: [], outputs: [], wires: new Set(), vectors: new Set(), gates: [], assigns: []
+      };
+
+      const declare = (direction, names, bits) => {
+        names.forEach(name => {
+          const nets = bits ? bits.map(bit => `${name}[${bit}]`) : [name];
+          if (direction === 'input') netlist.inputs.push(...nets);
+          else if (direction === 'output') netlist.outputs.push(...nets);
+          // Vectors are tracked by bit so that bit selects resolve
+          nets.forEach(net => netlist.wires.add(net));
+          if (bits) netlist.vectors.add(name);
+        });
+      };
+
+      // Port list, in either (a, b, y) or ANSI (input a, output y) style
+      if (this.accept('(')) {
+        let direction = null;
+        let bits = null;
+        while (!this.accept(')')) {
+          const token = this.peek();
+          if (['input', 'output'].includes(token.text)) {
+            direction = this.next().text;
+            this.accept('wire');
+            bits = this.range();
+          } else if (token.text === 'inout') {
+            this.fail(token, 'inout ports are not supported');
+          }
+          const name = this.identifier();
+          netlist.ports.push(name);
+          if (direction) declare(direction, [name], bits);
+          this.accept(',');
+        }
+      }
+      this.expect(';');
+
+      while (!this.accept('endmodule')) {
+        const token = this.next();
+        const keyword = token.text;
+
+        if (keyword === 'input' || keyword === 'output' || keyword === 'wire') {
+          if (keyword !== 'wire') this.accept('wire');
+          const bits = this.range();
+          const names = [this.identifier()];
+          while (this.accept(',')) names.push(this.identifier());
+          this.expect(';');
+          declare(keyword, names, bits);
+        } else if (keyword === 'assign') {
+          const target = this.terminal();
+          this.expect('=');
+          const inverted = this.accept('~');
+          const value = this.terminal();
+          if (this.peek() && this.peek().text !== ';') {
+            this.fail(this.peek(), 'only "assign a = b;" and "assign a = ~b;" can be imported; use gate primitives for logic');
+          }
+          this.expect(';');
+          netlist.assigns.push({ target, value, inverted, line: token.line });
+        } else if (keyword in PRIMITIVES) {
+          if (this.peek().text !== '(') this.identifier();
+          this.expect('(');
+          const terminals = [this.terminal()];
+          while (this.accept(',')) terminals.push(this.terminal());
+          this.expect(')');
+          this.expect(';');
+          netlist.gates.push({ primitive: keyword, terminals, line: token.line });
+        } else if (IDENTIFIER.test(keyword) && !KEYWORDS.has(keyword)) {
+          this.fail(token, `module instance "${keyword}" cannot be imported; flatten the netlist first`);
+        } else {
+          this.fail(token, `"${keyword}" is not supported in a gate-level netlist`);
+        }
+      }
+
+      return netlist;
+    }
+  }
+
+  // Builds a circuit file from a flat gate-level Verilog module
+  function parseVerilog(text) {
+    const netlist = new NetlistParser(text).parse();
+
+    const nodes = [];
+    const wires = [];
+    let nextId = 1;
+    const addNode = (type) => {
+      const node = { id: `node_${nextId++}`, type, state: type === 'INPUT' ? 0 : null, manualInputs: {}, inputs: [] };
+      nodes.push(node);
+      return node;
+    };
+
+    // Each net resolves to the output pin that drives it, a constant, or
+    // (through buf and assign) another net
+    const drivers = new Map();
+    const checkNet = (terminal) => {
+      if (netlist.vectors.has(terminal.net)) {
+        throw new Error(`Verilog line ${terminal.line}: vector "${terminal.net}" must be connected one bit at a time`);
+      }
+      if (!netlist.wires.has(terminal.net)) {
+        throw new Error(`Verilog line ${terminal.line}: net "${terminal.net}" is not declared`);
+      }
+    };
+    const drive = (terminal, driver) => {
+      if (terminal.constant !== undefined) {
+        throw new Error(`Verilog line ${terminal.line}: cannot drive a constant`);
+      }
+      checkNet(terminal);
+      if (drivers.has(terminal.net)) {
+        throw new Error(`Verilog line ${terminal.line}: net "${terminal.net}" has more than one driver`);
+      }
+      drivers.set(terminal.net, driver);
+    };
+    const consumers = [];
+    const connect = (node, pin, terminal) => {
+      if (terminal.net !== undefined) checkNet(terminal);
+      consumers.push({ node, pin, terminal });
+    };
+
+    netlist.ports.forEach(port => {
+      if (!netlist.wires.has(port) && !netlist.vectors.has(port)) {
+        throw new Error(`Verilog: port "${port}" has no input or output declaration`);
+      }
+    });
+
+    netlist.inputs.forEach(net => drive({ net }, { node: addNode('INPUT'), pin: 0 }));
+
+    netlist.gates.forEach(({ primitive, terminals, line }) => {
+      const type = PRIMITIVES[primitive];
+      if (primitive === 'not' || primitive === 'buf') {
+        // Any number of outputs followed by one input
+        if (terminals.length < 2) throw new Error(`Verilog line ${line}: ${primitive} needs an output and an input`);
+        const input = terminals[terminals.length - 1];
+        terminals.slice(0, -1).forEach(output => {
+          if (primitive === 'buf') {
+            drive(output, { alias: input });
+          } else {
+            const gate = addNode(type);
+            connect(gate, 0, input);
+            drive(output, { node: gate, pin: 0 });
+          }
+        });
+        return;
+      }
+
+      const [output, ...inputs] = terminals;
+      if (inputs.length < 2) throw new Error(`Verilog line ${line}: ${primitive} needs at least two inputs`);
+      let first = addNode(inputs.length === 2 ? type : CHAIN_TYPES[type]);
+      connect(first, 0, inputs[0]);
+      connect(first, 1, inputs[1]);
+      inputs.slice(2).forEach((input, index) => {
+        const last = index === inputs.length - 3;
+        const gate = addNode(last ? type : CHAIN_TYPES[type]);
+        connect(gate, 0, { node: first });
+        connect(gate, 1, input);
+        first = gate;
+      });
+      drive(output, { node: first, pin: 0 });
+    });
+
+    netlist.assigns.forEach(({ target, value, inverted }) => {
+      if (!inverted) {
+        drive(target, value.constant !== undefined ? { constant: value.constant } : { alias: value });
+        return;
+      }
+      const gate = addNode('NOT');
+      connect(gate, 0, value);
+      drive(target, { node: gate, pin: 0 });
+    });
+
+    netlist.outputs.forEach(net => connect(addNode('OUTPUT'), 0, { net }));
+
+    const resolve = (terminal, seen = new Set()) => {
+      if (terminal.node) return { node: terminal.node, pin: 0 };
+      if (terminal.constant !== undefined) return terminal;
+      if (seen.has(terminal.net)) {
+        throw new Error(`Verilog line ${terminal.line}: net "${terminal.net}" is assigned to itself`);
+      }
+      seen.add(terminal.net);
+      const driver = drivers.get(terminal.net);
+      if (!driver) {
+        throw new Error(`Verilog${terminal.line ? ` line ${terminal.line}` : ''}: net "${terminal.net}" is never driven`);
+      }
+      return driver.alias ? resolve(driver.alias, seen) : driver;
+    };
+
+    consumers.forEach(({ node, pin, terminal }) => {
+      const source = resolve(terminal);
+      if (source.constant !== undefined) {
+        node.manualInputs[pin] = source.constant;
+        return;
+      }
+      node.inputs[pin] = source.node;
+      wires.push({
+        id: `wire_${nextId++}`,
+        from: { node: source.node.id, pin: source.pin },
+        to: { node: node.id, pin }
+      });
+    });
+
+    layoutNetlist(nodes);
+
+    return {
+      version: CIRCUIT_FORMAT_VERSION,
+      timestamp: new Date().toISOString(),
+      nodes: nodes.map(({ inputs, ...node }) => node),
+      wires,
+      library: { components: [] }
+    };
+  }
+
+  // Columns by logic depth: inputs first, outputs last, gates one column
+  // past their deepest driver
+  function layoutNetlist(nodes) {
+    const COLUMN = 216;
+    const ROW = 144;
+    const LEFT = 48;
+    const TOP = 24;
+
+    const depth = new Map();
+    const depthOf = (node, visiting = new Set()) => {
+      if (depth.has(node)) return depth.get(node);
+      // A feedback loop is cut where it is first revisited
+      if (node.type === 'INPUT' || visiting.has(node)) return 0;
+      visiting.add(node);
+      const value = 1 + Math.max(0, ...node.inputs.filter(Boolean).map(input => depthOf(input, visiting)));
+      visiting.delete(node);
+      depth.set(node, value);
+      return value;
+    };
+
+    const gates = nodes.filter(node => node.type !== 'INPUT' && node.type !== 'OUTPUT');
+    const lastColumn = 1 + Math.max(0, ...gates.map(node => depthOf(node)));
+    const rows = new Map();
+
+    nodes.forEach(node => {
+      const column = node.type === 'INPUT' ? 0 : (node.type === 'OUTPUT' ? lastColumn : depthOf(node));
+      const row = rows.get(column) || 0;
+      rows.set(column, row + 1);
+      node.x = LEFT + column * COLUMN;
+      node.y = TOP + row * ROW;
+      node.width = 180;
+      node.height = 120;
+    });
+  }
+
+  const Verilog = {
+    KEYWORDS, exportVerilog, parseVerilog
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Verilog;
+  else root.Verilog = Verilog;
+})(typeof window !== 'undefined' ? window : globalThis);
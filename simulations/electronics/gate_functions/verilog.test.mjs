@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LogicCore from './logic-core.js';
+import Verilog from './verilog.js';
+
+const { LogicCircuit, loadCircuit, validateCircuit } = LogicCore;
+const { KEYWORDS, exportVerilog, parseVerilog } = Verilog;
+
+// Output values for every input combination, first input as the MSB
+function truthTable(circuit) {
+  const inputs = Array.from(circuit.nodes.values()).filter(node => node.type === 'INPUT');
+  const outputs = Array.from(circuit.nodes.values()).filter(node => node.type === 'OUTPUT');
+  const rows = [];
+  for (let i = 0; i < (1 << inputs.length); i++) {
+    inputs.forEach((input, j) => circuit.setInputState(input.id, (i >> (inputs.length - 1 - j)) & 1));
+    circuit.propagate();
+    rows.push(outputs.map(output => circuit.evaluateNode(output.id)).join(''));
+  }
+  return rows;
+}
+
+function halfAdder() {
+  const circuit = new LogicCircuit();
+  const a = circuit.createNode('INPUT');
+  const b = circuit.createNode('INPUT');
+  const sum = circuit.createNode('XOR');
+  const carry = circuit.createNode('AND');
+  const s = circuit.createNode('OUTPUT');
+  const c = circuit.createNode('OUTPUT');
+  circuit.createWire(a, 0, sum, 0);
+  circuit.createWire(b, 0, sum, 1);
+  circuit.createWire(a, 0, carry, 0);
+  circuit.createWire(b, 0, carry, 1);
+  circuit.createWire(sum, 0, s, 0);
+  circuit.createWire(carry, 0, c, 0);
+  return circuit;
+}
+
+describe('Verilog export', () => {
+  it('writes INPUT/OUTPUT nodes as ports and gates as primitives', () => {
+    const source = exportVerilog(halfAdder(), 'half_adder');
+    assert.match(source, /module half_adder \(A, B, Q1, Q2\);/);
+    assert.match(source, /input A;/);
+    assert.match(source, /output Q2;/);
+    assert.match(source, /xor g3 \(n3, A, B\);/);
+    assert.match(source, /and g4 \(n4, A, B\);/);
+    assert.match(source, /assign Q1 = n3;/);
+  });
+
+  it('ties unwired inputs to their manual values', () => {
+    const circuit = new LogicCircuit();
+    const gate = circuit.createNode('OR');
+    const output = circuit.createNode('OUTPUT');
+    circuit.nodes.get(gate).manualInputs[1] = 1;
+    circuit.createWire(gate, 0, output, 0);
+    assert.match(exportVerilog(circuit), /or g1 \(n1, 1'b0, 1'b1\);/);
+  });
+
+  it('writes flip-flops as always blocks clocked by the CLOCK port', () => {
+    const circuit = new LogicCircuit();
+    const d = circuit.createNode('INPUT');
+    const clock = circuit.createNode('CLOCK');
+    const ff = circuit.createNode('D_FF');
+    circuit.createWire(d, 0, ff, 0);
+    circuit.createWire(clock, 0, ff, 1);
+    const source = exportVerilog(circuit);
+    assert.match(source, /module circuit \(A, CLK\);/);
+    assert.match(source, /always @\(posedge CLK\) n3_q <= A;/);
+    assert.match(source, /assign n3_1 = ~n3_q;/);
+  });
+
+  it('declares bus nets with their width', () => {
+    const circuit = new LogicCircuit();
+    const adder = circuit.createNode('ADDER', 0, 0, undefined, 8);
+    const display = circuit.createNode('HEX_DISPLAY', 0, 0, undefined, 8);
+    circuit.createWire(adder, 0, display, 0);
+    const source = exportVerilog(circuit);
+    assert.match(source, /output \[7:0\] HEX1;/);
+    assert.match(source, /wire \[7:0\] n1_0;/);
+    assert.match(source, /assign \{n1_1, n1_0\} = 8'd0 \+ 8'd0 \+ 1'b0;/);
+    assert.match(source, /assign HEX1 = n1_0;/);
+  });
+
+  it('writes each component used as a module before its first use', () => {
+    const inner = halfAdder();
+    const [a, b, , , s, c] = Array.from(inner.nodes.keys());
+    const circuit = new LogicCircuit();
+    circuit.library.set('HalfAdder', {
+      name: 'HalfAdder',
+      inputs: [{ id: a, label: 'A' }, { id: b, label: 'B' }],
+      outputs: [{ id: s, label: 'Q1' }, { id: c, label: 'Q2' }],
+      nodes: inner.serializeCircuit().nodes,
+      wires: inner.serializeCircuit().wires
+    });
+    circuit.createNode('IC', 0, 0, 'HalfAdder');
+    const source = exportVerilog(circuit, 'top');
+
+    assert.ok(source.indexOf('module HalfAdder') < source.indexOf('module top'));
+    assert.match(source, /HalfAdder u1 \(\.A\(1'b0\), \.B\(1'b0\), \.Q1\(n1_0\), \.Q2\(n1_1\)\);/);
+  });
+
+  it('refuses reserved words as module and port names', () => {
+    assert.ok(['parameter', 'integer', 'generate', 'supply0', 'wire'].every(word => KEYWORDS.has(word)));
+    const circuit = halfAdder();
+    assert.throws(() => exportVerilog(circuit, 'parameter'), /"parameter" cannot be a Verilog name/);
+
+    const [a, , , , s] = Array.from(circuit.nodes.keys());
+    const definition = (name, label) => ({
+      name,
+      inputs: [{ id: a, label }],
+      outputs: [{ id: s, label: 'Q' }],
+      nodes: circuit.serializeCircuit().nodes,
+      wires: circuit.serializeCircuit().wires
+    });
+    const wrap = (name, label) => {
+      const top = new LogicCircuit();
+      top.library.set(name, definition(name, label));
+      top.createNode('IC', 0, 0, name);
+      return top;
+    };
+    assert.throws(() => exportVerilog(wrap('task', 'A'), 'top'), /"task" cannot be a Verilog name/);
+    assert.throws(() => exportVerilog(wrap('Buffer', 'default'), 'top'), /"default" cannot be a Verilog name/);
+  });
+});
+
+describe('Verilog import', () => {
+  it('round-trips gate circuits', () => {
+    const circuit = halfAdder();
+    const imported = loadCircuit(parseVerilog(exportVerilog(circuit)));
+    assert.deepEqual(truthTable(imported), truthTable(circuit));
+  });
+
+  it('reads ANSI ports, bit selects, wide gates and constants', () => {
+    const data = parseVerilog(`
+      // 3-input NAND with one input tied high
+      module m (input [1:0] a, input c, output y, output z);
+        wire t;
+        /* t is constant */
+        assign t = 1'b1;
+        nand (y, a[0], a[1], t);
+        not inv (z, y);
+      endmodule
+    `);
+    assert.deepEqual(validateCircuit(data), []);
+    assert.deepEqual(data.nodes.map(node => node.type), ['INPUT', 'INPUT', 'INPUT', 'AND', 'NAND', 'NOT', 'OUTPUT', 'OUTPUT']);
+    assert.equal(data.nodes[4].manualInputs[1], 1);
+    assert.deepEqual(truthTable(loadCircuit(data)), ['10', '10', '10', '10', '10', '10', '01', '01']);
+  });
+
+  it('resolves buf and assign aliases', () => {
+    const circuit = loadCircuit(parseVerilog(`
+      module m (a, b, y);
+        input a, b;
+        output y;
+        wire p, q;
+        buf (p, a);
+        assign q = ~b;
+        or (y, p, q);
+      endmodule
+    `));
+    assert.deepEqual(truthTable(circuit), ['1', '0', '1', '1']);
+  });
+
+  it('lays out columns by logic depth', () => {
+    const data = parseVerilog(exportVerilog(halfAdder()));
+    const x = (type) => data.nodes.filter(node => node.type === type).map(node => node.x);
+    assert.deepEqual(x('INPUT'), [48, 48]);
+    assert.deepEqual(x('XOR'), [264]);
+    assert.deepEqual(x('OUTPUT'), [480, 480]);
+  });
+
+  it('reports the line of unsupported or broken statements', () => {
+    const wrap = (body) => `module m (a, y);\n  input a;\n  output y;\n${body}\nendmodule`;
+    assert.throws(() => parseVerilog(wrap('  dff u1 (y, a);')), /line 4: module instance "dff" cannot be imported/);
+    assert.throws(() => parseVerilog(wrap('  and (y, a, b);')), /line 4: net "b" is not declared/);
+    assert.throws(() => parseVerilog(wrap('  not (y, a);\n  buf (y, a);')), /line 5: net "y" has more than one driver/);
+    assert.throws(() => parseVerilog(wrap('  assign y = a & a;')), /line 4: only "assign a = b;"/);
+    assert.throws(() => parseVerilog(wrap('  always @(a) y = a;')), /line 4: "always" is not supported/);
+    assert.throws(() => parseVerilog('module m (a, y);\n  input a;\n  output y;\n  wire w;\n  and (y, a, w);\nendmodule'),
+      /line 5: net "w" is never driven/);
+  });
+});
@@ -0,0 +1,151 @@
+// Vertical dynamics of a floating or sinking object for the buoyancy
+// simulators: Archimedes' buoyancy, weight and quadratic fluid drag,
+// advanced with RK4 on a real timestep. Everything is in SI units; y is
+// the height of the object's centre above the free surface (negative
+// below it). The fluid is one density (env.fluidDensity) or a column of
+// immiscible layers (env.layers, see stratify).
+(function (root) {
+  'use strict';
+
+  const AIR_DENSITY = 1.204; // kg/m³ at 20 °C
+  // Drag coefficients of a cube face-on and of a sphere
+  const DRAG_COEFFICIENT = { rect: 1.05, circle: 0.47 };
+
+  // A block is a cube and a sphere a sphere, both of the given volume (m³);
+  // size is the side or the radius
+  function createBody(shape, density, volume) {
+    if (shape === 'rect') {
+      const side = Math.cbrt(volume);
+      return { shape, density, volume, mass: density * volume, size: side, halfHeight: side / 2, area: side * side, dragCoefficient: DRAG_COEFFICIENT.rect };
+    }
+    const r = Math.cbrt(3 * volume / (4 * Math.PI));
+    return { shape, density, volume, mass: density * volume, size: r, halfHeight: r, area: Math.PI * r * r, dragCoefficient: DRAG_COEFFICIENT.circle };
+  }
+
+  // Volume below the surface when the lowest `depth` metres are submerged
+  function submergedVolume(body, depth) {
+    const h = Math.min(2 * body.halfHeight, Math.max(0, depth));
+    if (body.shape === 'rect') return body.area * h;
+    return Math.PI * h * h * (3 * body.size - h) / 3;
+  }
+
+  // Immiscible fluids settle lightest on top whatever order they are poured
+  // in. Takes layers { name, density, thickness (m) } and returns them top
+  // to bottom with the heights of their top and bottom; the last layer
+  // fills the rest of the tank.
+  function stratify(layers) {
+    const sorted = layers.map((layer, i) => ({ layer, i }))
+      .sort((a, b) => a.layer.density - b.layer.density || a.i - b.i);
+    let top = 0;
+    return sorted.map(({ layer }, i) => {
+      const bottom = i === sorted.length - 1 ? -Infinity : top - layer.thickness;
+      const bounded = { name: layer.name, density: layer.density, top, bottom };
+      top = bottom;
+      return bounded;
+    });
+  }
+
+  function columnOf(env) {
+    return env.layers || [{ name: 'Fluid', density: env.fluidDensity, top: 0, bottom: -Infinity }];
+  }
+
+  // Volume of the object, centred at y, that lies below the height z
+  function volumeBelow(body, y, z) {
+    return submergedVolume(body, z - (y - body.halfHeight));
+  }
+
+  // Horizontal cross-section at dz above the centre
+  function sectionArea(body, dz) {
+    if (Math.abs(dz) >= body.halfHeight) return 0;
+    if (body.shape === 'rect') return body.area;
+    return Math.PI * (body.size * body.size - dz * dz);
+  }
+
+  // env { fluidDensity | layers, gravity }; forces in N, positive upwards,
+  // with the buoyancy of each layer from the volume it wets
+  function forces(body, env, y, vy) {
+    const layers = columnOf(env).map(layer => {
+      const volume = volumeBelow(body, y, layer.top) - volumeBelow(body, y, layer.bottom);
+      return { name: layer.name, density: layer.density, volume, buoyant: layer.density * env.gravity * volume };
+    });
+    const submergedV = Math.min(body.volume, layers.reduce((sum, layer) => sum + layer.volume, 0));
+    const fraction = submergedV / body.volume;
+    const weight = body.mass * env.gravity;
+    const buoyant = layers.reduce((sum, layer) => sum + layer.buoyant, 0);
+    // Each part of the object feels the fluid it is in, the rest air
+    const wetMass = layers.reduce((sum, layer) => sum + layer.density * layer.volume, 0);
+    const rho = (wetMass + AIR_DENSITY * (body.volume - submergedV)) / body.volume;
+    const drag = -0.5 * rho * body.dragCoefficient * body.area * vy * Math.abs(vy);
+    return { weight, buoyant, drag, net: buoyant - weight + drag, submergedV, fraction, layers };
+  }
+
+  function acceleration(body, env, y, vy) {
+    return forces(body, env, y, vy).net / body.mass;
+  }
+
+  // Classic RK4 on state { y, vy }, updated in place
+  function step(body, env, state, dt) {
+    const { y, vy } = state;
+    const a1 = acceleration(body, env, y, vy);
+    const v2 = vy + 0.5 * dt * a1;
+    const a2 = acceleration(body, env, y + 0.5 * dt * vy, v2);
+    const v3 = vy + 0.5 * dt * a2;
+    const a3 = acceleration(body, env, y + 0.5 * dt * v2, v3);
+    const v4 = vy + dt * a3;
+    const a4 = acceleration(body, env, y + dt * v3, v4);
+    state.y = y + (dt / 6) * (vy + 2 * v2 + 2 * v3 + v4);
+    state.vy = vy + (dt / 6) * (a1 + 2 * a2 + 2 * a3 + a4);
+  }
+
+  // Mass of fluid displaced with the centre at y
+  function displacedMass(body, layers, y) {
+    return layers.reduce((sum, layer) =>
+      sum + layer.density * (volumeBelow(body, y, layer.top) - volumeBelow(body, y, layer.bottom)), 0);
+  }
+
+  // Height of the centre when floating at rest, at the surface or at the
+  // interface where the layers above and below balance its weight; null
+  // when it is denser than every layer and sinks
+  function equilibriumY(body, env) {
+    const layers = columnOf(env);
+    const deepest = layers[layers.length - 1];
+    if (body.density >= deepest.density) return null;
+    // The displaced mass only grows as the object goes deeper
+    let lo = deepest.top - 2 * body.halfHeight, hi = body.halfHeight;
+    for (let i = 0; i < 80; i++) {
+      const mid = (lo + hi) / 2;
+      if (displacedMass(body, layers, mid) > body.mass) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // Small-oscillation period about the floating equilibrium: every
+  // interface through the object stiffens it by g·Δρ·A, with A its
+  // cross-section there, so T = 2π·√(m/k)
+  function bobbingPeriod(body, env) {
+    const y = equilibriumY(body, env);
+    if (y === null) return null;
+    let above = 0, stiffness = 0;
+    for (const layer of columnOf(env)) {
+      stiffness += env.gravity * (layer.density - above) * sectionArea(body, layer.top - y);
+      above = layer.density;
+    }
+    return 2 * Math.PI * Math.sqrt(body.mass / stiffness);
+  }
+
+  // Speed at which drag balances the net weight of a body fully submerged
+  // in a single fluid
+  function terminalVelocity(body, env) {
+    const netWeight = (body.density - env.fluidDensity) * body.volume * env.gravity;
+    const speed = Math.sqrt(2 * Math.abs(netWeight) / (env.fluidDensity * body.dragCoefficient * body.area));
+    return netWeight > 0 ? -speed : speed;
+  }
+
+  const BuoyancyPhysics = {
+    AIR_DENSITY, DRAG_COEFFICIENT, createBody, submergedVolume, stratify, forces,
+    step, equilibriumY, bobbingPeriod, terminalVelocity
+  };
+  if (typeof module === 'object' && module.exports) module.exports = BuoyancyPhysics;
+  else root.BuoyancyPhysics = BuoyancyPhysics;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import BuoyancyPhysics from './buoyancy-physics.js';
+
+const { createBody, submergedVolume, stratify, forces, step, equilibriumY, bobbingPeriod, terminalVelocity } = BuoyancyPhysics;
+
+const WATER = { fluidDensity: 1000, gravity: 9.8 };
+// Oil over water over mercury, poured in the wrong order
+const LAYERED = {
+  gravity: 9.8,
+  layers: stratify([
+    { name: 'Mercury', density: 13546, thickness: 0.1 },
+    { name: 'Fresh Water', density: 1000, thickness: 0.1 },
+    { name: 'Oil', density: 900, thickness: 0.1 }
+  ])
+};
+
+// Period from successive upward crossings of the equilibrium height
+function measuredPeriod(body, env, offset, dt) {
+  const yEq = equilibriumY(body, env);
+  const state = { y: yEq - offset, vy: 0 };
+  const crossings = [];
+  let t = 0;
+  while (crossings.length < 3 && t < 20) {
+    const below = state.y < yEq;
+    step(body, env, state, dt);
+    t += dt;
+    if (below && state.y >= yEq) crossings.push(t);
+  }
+  return (crossings[2] - crossings[0]) / 2;
+}
+
+describe('createBody', () => {
+  it('sizes blocks as cubes and spheres by their volume', () => {
+    const block = createBody('rect', 800, 0.002), ball = createBody('circle', 800, 0.002);
+    assert.ok(Math.abs(block.size ** 3 - 0.002) < 1e-15);
+    assert.ok(Math.abs(4 / 3 * Math.PI * ball.size ** 3 - 0.002) < 1e-15);
+    assert.ok(Math.abs(submergedVolume(ball, 2 * ball.size) - 0.002) < 1e-15);
+    assert.equal(block.mass, 1.6);
+  });
+});
+
+describe('equilibrium', () => {
+  it('floats with the displaced weight equal to its own', () => {
+    for (const shape of ['rect', 'circle']) {
+      const body = createBody(shape, 800, 0.002);
+      const { net, fraction } = forces(body, WATER, equilibriumY(body, WATER), 0);
+      assert.ok(Math.abs(net) < 1e-9, `${shape}: ${net}`);
+      assert.ok(Math.abs(fraction - 0.8) < 1e-12);
+    }
+  });
+
+  it('has no floating height for an object denser than the fluid', () => {
+    assert.equal(equilibriumY(createBody('rect', 1200, 0.002), WATER), null);
+    assert.equal(bobbingPeriod(createBody('circle', 1000, 0.002), WATER), null);
+  });
+});
+
+describe('RK4 step', () => {
+  it('bobs with the period of the waterline stiffness', () => {
+    for (const [shape, density] of [['rect', 500], ['circle', 500], ['circle', 250]]) {
+      const body = createBody(shape, density, 0.002);
+      const theory = bobbingPeriod(body, WATER);
+      const period = measuredPeriod(body, WATER, 0.001, 1e-3);
+      assert.ok(Math.abs(period / theory - 1) < 0.01, `${shape} ${density}: ${period} vs ${theory}`);
+    }
+  });
+
+  it('damps the bobbing through fluid drag alone', () => {
+    const body = createBody('rect', 500, 0.002);
+    const yEq = equilibriumY(body, WATER);
+    const state = { y: yEq - 0.03, vy: 0 };
+    for (let t = 0; t < 10; t += 1e-3) step(body, WATER, state, 1e-3);
+    assert.ok(Math.abs(state.y - yEq) < 0.01);
+    assert.ok(Math.abs(state.y - yEq) > 1e-6);
+  });
+
+  it('sinks at the terminal velocity of quadratic drag', () => {
+    const body = createBody('circle', 2000, 0.001);
+    const state = { y: -1, vy: 0 };
+    for (let t = 0; t < 3; t += 1e-3) step(body, WATER, state, 1e-3);
+    assert.ok(terminalVelocity(body, WATER) < 0);
+    assert.ok(Math.abs(state.vy / terminalVelocity(body, WATER) - 1) < 1e-6);
+  });
+
+  it('does not depend on the frame rate', () => {
+    const body = createBody('rect', 700, 0.005);
+    const coarse = { y: 0.2, vy: 0 }, fine = { y: 0.2, vy: 0 };
+    for (let i = 0; i < 120; i++) step(body, WATER, coarse, 1 / 60);
+    for (let i = 0; i < 480; i++) step(body, WATER, fine, 1 / 240);
+    assert.ok(Math.abs(coarse.y - fine.y) < 1e-3, `${coarse.y} vs ${fine.y}`);
+  });
+});
+
+describe('layered fluids', () => {
+  it('stack lightest on top with the last layer reaching the floor', () => {
+    assert.deepEqual(LAYERED.layers.map(layer => [layer.name, layer.top, layer.bottom]), [
+      ['Oil', 0, -0.1], ['Fresh Water', -0.1, -0.2], ['Mercury', -0.2, -Infinity]
+    ]);
+  });
+
+  it('float each object at the interface it cannot sink through', () => {
+    const side = 0.05, volume = side ** 3;
+    // Ice sinks through oil onto water, steel through both onto mercury
+    for (const [density, upper, lower, interfaceY] of [[917, 900, 1000, -0.1], [7850, 1000, 13546, -0.2]]) {
+      const y = equilibriumY(createBody('rect', density, volume), LAYERED);
+      const below = (density - upper) / (lower - upper) * side;
+      assert.ok(Math.abs(y - (interfaceY + side / 2 - below)) < 1e-9, `${density}: ${y}`);
+    }
+    assert.ok(Math.abs(equilibriumY(createBody('rect', 450, volume), LAYERED) - (side / 2 - 0.5 * side)) < 1e-9);
+    assert.equal(equilibriumY(createBody('circle', 19300, volume), LAYERED), null);
+  });
+
+  it('split the buoyant force by the volume in each layer', () => {
+    const body = createBody('rect', 7850, 0.001);
+    const { buoyant, layers, fraction } = forces(body, LAYERED, -0.2, 0);
+    const [oil, water, mercury] = layers;
+    assert.equal(oil.volume, 0);
+    assert.ok(Math.abs(water.volume - 0.0005) < 1e-12 && Math.abs(mercury.volume - 0.0005) < 1e-12);
+    assert.ok(Math.abs(mercury.buoyant - 13546 * 9.8 * 0.0005) < 1e-9);
+    assert.ok(Math.abs(buoyant - water.buoyant - mercury.buoyant) < 1e-12);
+    assert.equal(fraction, 1);
+  });
+
+  it('bob at an interface with the stiffness of the density jump', () => {
+    const body = createBody('rect', 7850, 0.001);
+    const theory = bobbingPeriod(body, LAYERED);
+    assert.ok(Math.abs(theory - 2 * Math.PI * Math.sqrt(body.mass / (9.8 * 12546 * body.area))) < 1e-12);
+    assert.ok(Math.abs(measuredPeriod(body, LAYERED, 0.001, 1e-3) / theory - 1) < 0.01);
+  });
+});
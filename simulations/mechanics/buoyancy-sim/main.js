@@ -1,5 +1,5 @@
 // --- Enhanced Buoyancy Simulator ---
-// Features added: 
+// Features added:
 // - Realistic drag (grab anywhere on object)
 // - Snap-to-equilibrium button
 // - Show equilibrium line
@@ -7,26 +7,87 @@
 // - Show water density presets
 // - Responsive canvas
 // - Improved physics stability
+// - SI units with a real timestep and fluid drag (buoyancy-physics.js)
+// - Several objects in one tank and stratified immiscible fluid layers
 
 const simCanvas = document.getElementById('simCanvas');
 const ctx = simCanvas.getContext('2d');
 
 // --- Parameters and State ---
 let params = {
-    shape: 'rect',
-    objectDensity: 800, // kg/m³
-    objectVolume: 2,    // L
-    fluidDensity: 1000, // kg/m³
     gravity: 9.8,       // m/s²
+    // Fluid layers as poured, { name, density (kg/m³), thickness (m), color };
+    // they settle lightest on top and the bottom one fills the tank
+    layers: [
+        { name: "Fresh Water", density: 1000, thickness: 0.1, color: "#b3e0fc" }
+    ]
 };
 let state = {
-    y: 320,             // vertical position of object (pixels)
-    vy: 0,              // vertical velocity (pixels/frame)
-    dragging: false,
-    dragOffset: 0,
-    submerged: 0,       // fraction submerged
+    selected: 0,        // index of the object the controls edit
+    dragging: -1,       // index of the object held by the mouse, -1 when none
+    dragOffset: 0,      // pixels
     lastUpdate: Date.now()
 };
+// Each object is { shape, density (kg/m³), volume (L), color, y, vy }, where
+// y is the height of its centre above the surface (m) and vy its velocity (m/s)
+let objects = [];
+
+const MAX_OBJECTS = 6;
+const objectColors = [
+    { fill: "#fbc02d", stroke: "#b8860b" },
+    { fill: "#a1887f", stroke: "#5d4037" },
+    { fill: "#90a4ae", stroke: "#455a64" },
+    { fill: "#ef9a9a", stroke: "#c62828" },
+    { fill: "#a5d6a7", stroke: "#2e7d32" },
+    { fill: "#ce93d8", stroke: "#6a1b9a" }
+];
+
+// --- Scale and timestep ---
+const VIEW_HEIGHT = 1.0;     // metres of tank shown by the canvas height
+const PHYSICS_DT = 1 / 240;  // s, fixed substep
+const MAX_FRAME_DT = 0.1;    // s, longer pauses (hidden tab) are not caught up
+const NEW_LAYER_THICKNESS = 0.1; // m
+
+function pxPerMeter() {
+    return simCanvas.height / VIEW_HEIGHT;
+}
+function toScreenY(y) {
+    return getWaterLevel() - y * pxPerMeter();
+}
+function toWorldY(py) {
+    return (getWaterLevel() - py) / pxPerMeter();
+}
+
+function getBody(obj) {
+    return BuoyancyPhysics.createBody(obj.shape, obj.density, obj.volume * 0.001);
+}
+function getLayers() {
+    // Stratified top to bottom, keeping the colour of each layer
+    const colors = new Map(params.layers.map(layer => [layer.name, layer.color]));
+    return BuoyancyPhysics.stratify(params.layers).map(layer => ({ ...layer, color: colors.get(layer.name) }));
+}
+function getEnv() {
+    return { gravity: params.gravity, layers: getLayers() };
+}
+
+// Lowest and highest centre heights that keep the object inside the tank
+function getBounds(body) {
+    return {
+        min: toWorldY(simCanvas.height) + body.halfHeight,
+        max: toWorldY(0) - body.halfHeight
+    };
+}
+
+function addObject(shape, density, volume, y = 0.2) {
+    const color = objectColors[objects.length % objectColors.length];
+    objects.push({ shape, density, volume, color, y, vy: 0 });
+    return objects.length - 1;
+}
+addObject('rect', 800, 2);
+
+function selectedObject() {
+    return objects[state.selected];
+}
 
 // --- UI Sync ---
 function syncInputs(id1, id2, cb) {
@@ -41,24 +102,52 @@ function syncInputs(id1, id2, cb) {
         cb(parseFloat(el2.value));
     });
 }
-syncInputs('objectDensity', 'objectDensityNum', v => { params.objectDensity = v; });
-syncInputs('objectVolume', 'objectVolumeNum', v => { params.objectVolume = v; });
-syncInputs('fluidDensity', 'fluidDensityNum', v => { params.fluidDensity = v; });
+function setInputs(id1, id2, value) {
+    document.getElementById(id1).value = value;
+    document.getElementById(id2).value = value;
+}
+syncInputs('objectDensity', 'objectDensityNum', v => { selectedObject().density = v; });
+syncInputs('objectVolume', 'objectVolumeNum', v => { selectedObject().volume = v; });
+syncInputs('fluidDensity', 'fluidDensityNum', v => { setTopLayerDensity(v); });
 syncInputs('gravity', 'gravityNum', v => { params.gravity = v; });
 
 document.getElementById('objectShape').addEventListener('change', e => {
-    params.shape = e.target.value;
-    resetSim();
+    selectedObject().shape = e.target.value;
+    snapObject(selectedObject());
 });
 document.getElementById('resetBtn').addEventListener('click', resetSim);
 
+// The object controls show whichever object is selected
+function selectObject(index) {
+    state.selected = index;
+    const obj = selectedObject();
+    document.getElementById('objectShape').value = obj.shape;
+    setInputs('objectDensity', 'objectDensityNum', obj.density);
+    setInputs('objectVolume', 'objectVolumeNum', obj.volume);
+    document.getElementById('selectedDisp').textContent = `Object ${index + 1} of ${objects.length}`;
+    document.getElementById('addObjectBtn').disabled = objects.length >= MAX_OBJECTS;
+    document.getElementById('removeObjectBtn').disabled = objects.length <= 1;
+}
+
+document.getElementById('addObjectBtn').addEventListener('click', () => {
+    if (objects.length >= MAX_OBJECTS) return;
+    const obj = selectedObject();
+    selectObject(addObject(obj.shape, obj.density, obj.volume));
+});
+document.getElementById('removeObjectBtn').addEventListener('click', () => {
+    if (objects.length <= 1) return;
+    objects.splice(state.selected, 1);
+    objects.forEach((obj, i) => { obj.color = objectColors[i % objectColors.length]; });
+    selectObject(Math.min(state.selected, objects.length - 1));
+});
+
 // --- Water presets ---
 const waterPresets = [
-    { name: "Fresh Water", value: 1000 },
-    { name: "Sea Water", value: 1030 },
-    { name: "Glycerin", value: 1260 },
-    { name: "Mercury", value: 13546 },
-    { name: "Oil", value: 900 }
+    { name: "Fresh Water", value: 1000, color: "#b3e0fc" },
+    { name: "Sea Water", value: 1030, color: "#81c7e8" },
+    { name: "Glycerin", value: 1260, color: "#e6ddb8" },
+    { name: "Mercury", value: 13546, color: "#b0b8c0" },
+    { name: "Oil", value: 900, color: "#f5d97a" }
 ];
 const fluidDensityInput = document.getElementById('fluidDensity');
 const fluidDensityNum = document.getElementById('fluidDensityNum');
@@ -76,14 +165,113 @@ waterPresets.forEach(p => {
     btn.style.borderRadius = "4px";
     btn.style.cursor = "pointer";
     btn.onclick = () => {
-        fluidDensityInput.value = p.value;
-        fluidDensityNum.value = p.value;
-        params.fluidDensity = p.value;
+        // A preset fills the whole tank with that one fluid
+        params.layers = [presetLayer(p)];
+        renderLayers();
     };
     presetDiv.appendChild(btn);
 });
 fluidGroup.appendChild(presetDiv);
 
+function presetLayer(preset, thickness = NEW_LAYER_THICKNESS) {
+    return { name: preset.name, density: preset.value, thickness, color: preset.color };
+}
+
+// The fluid density slider edits the top layer; a lone layer takes the
+// name of the preset it matches
+function setTopLayerDensity(value) {
+    const top = getLayers()[0];
+    const layer = params.layers.find(l => l.name === top.name);
+    layer.density = value;
+    if (params.layers.length === 1) {
+        const preset = waterPresets.find(p => p.value === value);
+        layer.name = preset ? preset.name : "Custom Fluid";
+        layer.color = preset ? preset.color : "#b3e0fc";
+    }
+    renderLayers();
+}
+
+// --- Fluid layers ---
+const layerList = document.getElementById('layerList');
+const layerPreset = document.getElementById('layerPreset');
+waterPresets.forEach(p => {
+    const option = document.createElement('option');
+    option.value = p.name;
+    option.textContent = `${p.name} (${p.value} kg/m³)`;
+    layerPreset.appendChild(option);
+});
+document.getElementById('addLayerBtn').addEventListener('click', () => {
+    // The fluids do not mix: pouring more of one thickens its layer
+    const preset = waterPresets.find(p => p.name === layerPreset.value);
+    const existing = params.layers.find(l => l.name === preset.name);
+    if (existing) existing.thickness += NEW_LAYER_THICKNESS;
+    else params.layers.push(presetLayer(preset));
+    renderLayers();
+});
+
+// One row per layer, top to bottom, with its thickness and a drain button
+function renderLayers() {
+    const layers = getLayers();
+    layerList.innerHTML = '';
+    layers.forEach((layer, i) => {
+        const source = params.layers.find(l => l.name === layer.name);
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        const swatch = document.createElement('span');
+        swatch.className = 'layer-swatch';
+        swatch.style.background = layer.color;
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = `${layer.name} (${layer.density} kg/m³)`;
+        row.append(swatch, name);
+        if (i < layers.length - 1) {
+            const thickness = document.createElement('input');
+            thickness.type = 'number';
+            thickness.min = 1;
+            thickness.max = 30;
+            thickness.step = 1;
+            thickness.value = Math.round(source.thickness * 100);
+            thickness.title = 'Thickness (cm)';
+            thickness.addEventListener('input', () => {
+                const cm = parseFloat(thickness.value);
+                if (cm > 0) source.thickness = cm / 100;
+            });
+            row.append(thickness, document.createTextNode(' cm'));
+        } else {
+            row.append(document.createTextNode('to the floor'));
+        }
+        if (layers.length > 1) {
+            const drain = document.createElement('button');
+            drain.className = 'layer-remove';
+            drain.textContent = '×';
+            drain.title = `Drain the ${layer.name}`;
+            drain.addEventListener('click', () => {
+                params.layers = params.layers.filter(l => l !== source);
+                renderLayers();
+            });
+            row.appendChild(drain);
+        }
+        layerList.appendChild(row);
+    });
+    setInputs('fluidDensity', 'fluidDensityNum', layers[0].density);
+}
+
+// --- Layered demo scene ---
+// Oil over water over mercury, with objects that settle at each interface
+document.getElementById('layeredSceneBtn').addEventListener('click', () => {
+    params.layers = [["Oil", 0.1], ["Fresh Water", 0.12], ["Mercury", 0.12]].map(([name, thickness]) =>
+        presetLayer(waterPresets.find(p => p.name === name), thickness));
+    objects = [];
+    addObject('circle', 240, 0.5);   // cork: floats on the oil
+    addObject('rect', 917, 0.5);     // ice: sinks through the oil onto the water
+    addObject('rect', 1380, 0.4);    // PVC: sinks through the water onto the mercury
+    addObject('circle', 7850, 0.3);  // steel: floats on the mercury too
+    addObject('rect', 19300, 0.2);   // gold: sinks to the floor
+    state.dragging = -1;
+    renderLayers();
+    selectObject(0);
+});
+
 // --- Snap to equilibrium button ---
 const snapBtn = document.createElement('button');
 snapBtn.textContent = "Snap to Equilibrium";
@@ -98,17 +286,20 @@ snapBtn.style.cursor = "pointer";
 snapBtn.onclick = snapToEquilibrium;
 document.querySelector('.button-group').appendChild(snapBtn);
 
+function snapObject(obj) {
+    obj.y = getEquilibriumY(obj);
+    obj.vy = 0;
+}
+
 function resetSim() {
-    state.y = getEquilibriumY();
-    state.vy = 0;
-    state.dragging = false;
-    state.submerged = 0;
+    objects.forEach(snapObject);
+    state.dragging = -1;
+    state.lastUpdate = Date.now();
 }
 
 function snapToEquilibrium() {
-    state.y = getEquilibriumY();
-    state.vy = 0;
-    state.dragging = false;
+    objects.forEach(snapObject);
+    state.dragging = -1;
 }
 
 // --- Responsive canvas ---
@@ -124,212 +315,178 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 resizeCanvas();
 
-// --- Drag and Drop for Object ---
+// --- Drag and Drop for Objects ---
 simCanvas.addEventListener('mousedown', e => {
     const rect = simCanvas.getBoundingClientRect();
     const mx = e.clientX - rect.left;
     const my = e.clientY - rect.top;
-    if (isOnObject(mx, my)) {
-        state.dragging = true;
-        state.dragOffset = my - state.y;
+    const index = objects.findIndex((obj, i) => isOnObject(i, mx, my));
+    if (index >= 0) {
+        selectObject(index);
+        state.dragging = index;
+        state.dragOffset = my - toScreenY(objects[index].y);
     }
 });
 window.addEventListener('mousemove', e => {
-    if (!state.dragging) return;
+    if (state.dragging < 0) return;
     const rect = simCanvas.getBoundingClientRect();
     const my = e.clientY - rect.top;
-    state.y = Math.max(80, Math.min(my - state.dragOffset, simCanvas.height - 80));
+    const obj = objects[state.dragging];
+    const {min, max} = getBounds(getBody(obj));
+    obj.y = Math.max(min, Math.min(toWorldY(my - state.dragOffset), max));
+    obj.vy = 0;
 });
 window.addEventListener('mouseup', () => {
-    state.dragging = false;
+    state.dragging = -1;
 });
 
 // --- Physics and Drawing ---
-function isOnObject(mx, my) {
-    const {shape} = params;
-    if (shape === 'rect') {
-        const {x, y, w, h} = getObjectRect();
+function isOnObject(index, mx, my) {
+    if (objects[index].shape === 'rect') {
+        const {x, y, w, h} = getObjectRect(index);
         return mx >= x && mx <= x + w && my >= y && my <= y + h;
     } else {
-        const {cx, cy, r} = getObjectCircle();
+        const {cx, cy, r} = getObjectCircle(index);
         return Math.hypot(mx - cx, my - cy) <= r;
     }
 }
 
-function getObjectRect() {
-    // Volume in m³, 1L = 0.001 m³, assume square base
-    const V = params.objectVolume * 0.001;
-    const w = 80, h = Math.max(40, 80 * V); // visually scale with volume
-    const x = simCanvas.width/2 - w/2;
-    const y = state.y - h/2;
-    return {x, y, w, h, V};
+// Objects stand side by side, spread evenly across the tank
+function getObjectX(index) {
+    return simCanvas.width * (index + 1) / (objects.length + 1);
 }
-function getObjectCircle() {
+
+function getObjectRect(index) {
+    // A cube of the object's volume, drawn to scale
+    const obj = objects[index];
+    const body = getBody(obj);
+    const w = body.size * pxPerMeter(), h = w;
+    const x = getObjectX(index) - w/2;
+    const y = toScreenY(obj.y) - h/2;
+    return {x, y, w, h, V: body.volume};
+}
+function getObjectCircle(index) {
     // V = 4/3 π r³ => r = (3V/4π)^(1/3)
-    const V = params.objectVolume * 0.001;
-    const r = Math.max(30, 80 * Math.cbrt(V));
-    const cx = simCanvas.width/2;
-    const cy = state.y;
-    return {cx, cy, r, V};
+    const obj = objects[index];
+    const body = getBody(obj);
+    const r = body.size * pxPerMeter();
+    const cx = getObjectX(index);
+    const cy = toScreenY(obj.y);
+    return {cx, cy, r, V: body.volume};
 }
 
 function getWaterLevel() {
     return simCanvas.height * 0.65;
 }
 
-function getEquilibriumY() {
-    // Find y where net force = 0 (for current params)
-    // For block: solve for y so that buoyant = weight
-    const g = params.gravity;
-    const fluidRho = params.fluidDensity;
-    const objRho = params.objectDensity;
-    const V = params.objectVolume * 0.001;
-    const m = objRho * V;
-    const yWater = getWaterLevel();
-
-    if (params.shape === 'rect') {
-        const h = Math.max(40, 80 * V);
-        let submFrac = Math.min(1, Math.max(0, (fluidRho * V * g) / (m * g)));
-        // y = yWater + h/2 - h*submFrac
-        return yWater + h/2 - h * submFrac;
-    } else {
-        // Sphere: submFrac = (fluidRho / objRho)
-        const r = Math.max(30, 80 * Math.cbrt(V));
-        let submFrac = Math.min(1, Math.max(0, (fluidRho / objRho)));
-        // Place so that the correct fraction is below water
-        // y = yWater + r - 2*r*submFrac
-        return yWater + r - 2 * r * submFrac;
-    }
+function getEquilibriumY(obj) {
+    // Floating height (m) where buoyancy balances the weight, at the surface
+    // or at an interface; an object denser than every layer rests on the bottom
+    const body = getBody(obj);
+    const {min, max} = getBounds(body);
+    const y = BuoyancyPhysics.equilibriumY(body, getEnv());
+    return y === null ? min : Math.max(min, Math.min(y, max));
 }
 
-function calcPhysics() {
-    // Calculate forces and update state
-    const g = params.gravity;
-    const fluidRho = params.fluidDensity;
-    const objRho = params.objectDensity;
-    const V = params.objectVolume * 0.001; // m³
-    const m = objRho * V; // kg
-    const yWater = getWaterLevel();
-
-    // Find submerged volume
-    let submergedV = 0;
-    let submergedFrac = 0;
-    let objBottom, objTop;
-    if (params.shape === 'rect') {
-        const {x, y, w, h} = getObjectRect();
-        objTop = y;
-        objBottom = y + h;
-        if (objBottom < yWater) {
-            submergedV = 0;
-            submergedFrac = 0;
-        } else if (objTop > yWater) {
-            submergedV = V;
-            submergedFrac = 1;
-        } else {
-            const submH = objBottom - yWater;
-            submergedFrac = Math.min(1, Math.max(0, submH / h));
-            submergedV = V * submergedFrac;
-        }
-    } else {
-        const {cx, cy, r} = getObjectCircle();
-        objTop = cy - r;
-        objBottom = cy + r;
-        if (objBottom < yWater) {
-            submergedV = 0;
-            submergedFrac = 0;
-        } else if (objTop > yWater) {
-            submergedV = V;
-            submergedFrac = 1;
-        } else {
-            // Spherical cap volume formula
-            const h = objBottom - yWater;
-            const capH = Math.min(2*r, Math.max(0, h));
-            const capV = (Math.PI * capH * capH * (3*r - capH)) / 3;
-            submergedV = V * (capV / ((4/3)*Math.PI*r*r*r));
-            submergedFrac = Math.min(1, Math.max(0, capV / ((4/3)*Math.PI*r*r*r)));
-        }
-    }
-
-    // Forces
-    const weight = m * g;
-    const buoyant = fluidRho * g * submergedV;
-    const netForce = buoyant - weight;
-
-    // Update velocity and position if not dragging
-    if (!state.dragging) {
-        state.vy += netForce / (m || 1) * 0.5; // dt fudge for smoothness
-        state.vy *= 0.96; // more damping for stability
-        state.y += state.vy;
-        // Boundaries
-        if (params.shape === 'rect') {
-            const {h} = getObjectRect();
-            if (state.y > simCanvas.height - h/2) {
-                state.y = simCanvas.height - h/2;
-                state.vy = 0;
+function calcPhysics(dt) {
+    // Advance in fixed substeps so the motion does not depend on the frame rate
+    const env = getEnv();
+    objects.forEach((obj, i) => {
+        if (state.dragging === i) return;
+        const body = getBody(obj);
+        const {min, max} = getBounds(body);
+        for (let left = dt; left > 1e-9; left -= PHYSICS_DT) {
+            BuoyancyPhysics.step(body, env, obj, Math.min(PHYSICS_DT, left));
+            // The tank floor and the top of the view stop the object dead
+            if (obj.y < min) {
+                obj.y = min;
+                obj.vy = Math.max(0, obj.vy);
             }
-            if (state.y < h/2) {
-                state.y = h/2;
-                state.vy = 0;
-            }
-        } else {
-            const {r} = getObjectCircle();
-            if (state.y > simCanvas.height - r) {
-                state.y = simCanvas.height - r;
-                state.vy = 0;
-            }
-            if (state.y < r) {
-                state.y = r;
-                state.vy = 0;
+            if (obj.y > max) {
+                obj.y = max;
+                obj.vy = Math.min(0, obj.vy);
             }
         }
-    }
-
-    // Update state
-    state.submerged = submergedFrac;
+    });
 
-    // Update UI
-    document.getElementById('objectMassDisp').textContent = m.toFixed(2);
+    // Update UI for the selected object
+    const obj = selectedObject();
+    const body = getBody(obj);
+    const {weight, buoyant, drag, submergedV, layers} = BuoyancyPhysics.forces(body, env, obj.y, obj.vy);
+    // On the floor the support takes up whatever buoyancy leaves
+    const netForce = obj.y <= getBounds(body).min && buoyant < weight ? 0 : buoyant - weight + drag;
+    const period = BuoyancyPhysics.bobbingPeriod(body, env);
+    document.getElementById('objectMassDisp').textContent = body.mass.toFixed(2);
     document.getElementById('weightDisp').textContent = weight.toFixed(2);
     document.getElementById('buoyantDisp').textContent = buoyant.toFixed(2);
+    document.getElementById('dragDisp').textContent = drag.toFixed(2);
     document.getElementById('netForceDisp').textContent = netForce.toFixed(2);
     document.getElementById('submergedDisp').textContent = (submergedV * 1000).toFixed(2);
+    document.getElementById('periodDisp').textContent = period === null ? '—' : period.toFixed(2) + ' s';
+    // Buoyant force from each layer the object reaches into
+    document.getElementById('layerForcesDisp').textContent = layers
+        .filter(layer => layer.volume > 0)
+        .map(layer => `${layer.name}: ${layer.buoyant.toFixed(2)} N (${(layer.volume * 1000).toFixed(2)} L)`)
+        .join('\n') || 'Out of the fluid';
 }
 
 function drawSim() {
     ctx.clearRect(0, 0, simCanvas.width, simCanvas.height);
 
-    // Draw water
+    // Draw fluid layers, top to bottom
     const yWater = getWaterLevel();
-    ctx.save();
-    ctx.fillStyle = "#b3e0fc";
-    ctx.fillRect(0, yWater, simCanvas.width, simCanvas.height - yWater);
-    ctx.strokeStyle = "#1976d2";
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(0, yWater);
-    ctx.lineTo(simCanvas.width, yWater);
-    ctx.stroke();
-    ctx.restore();
+    getLayers().forEach((layer, i) => {
+        const top = toScreenY(layer.top);
+        const bottom = Math.min(simCanvas.height, toScreenY(layer.bottom));
+        ctx.save();
+        ctx.fillStyle = layer.color;
+        ctx.fillRect(0, top, simCanvas.width, bottom - top);
+        ctx.strokeStyle = "#1976d2";
+        ctx.lineWidth = i === 0 ? 3 : 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, top);
+        ctx.lineTo(simCanvas.width, top);
+        ctx.stroke();
+        // Label
+        ctx.font = "bold 1.3em Segoe UI";
+        ctx.fillStyle = "#1976d2";
+        if (bottom - top > 30) ctx.fillText(layer.name, 30, top + 28);
+        ctx.restore();
+    });
+
+    // Draw objects
+    objects.forEach((obj, i) => drawObject(i, yWater));
+
+    // Draw force arrows
+    drawForces();
+}
 
-    // Draw equilibrium line
+function drawObject(index, yWater) {
+    const obj = objects[index];
+    const selected = index === state.selected;
+
+    // Draw equilibrium line across the object's own column
+    const colW = simCanvas.width / (objects.length + 1);
+    const x0 = getObjectX(index) - colW * 0.45;
+    const eqY = toScreenY(getEquilibriumY(obj));
     ctx.save();
     ctx.setLineDash([8, 8]);
     ctx.strokeStyle = "#27ae60";
     ctx.lineWidth = 2;
-    const eqY = getEquilibriumY();
     ctx.beginPath();
-    ctx.moveTo(0, eqY);
-    ctx.lineTo(simCanvas.width, eqY);
+    ctx.moveTo(x0, eqY);
+    ctx.lineTo(x0 + colW * 0.9, eqY);
     ctx.stroke();
     ctx.setLineDash([]);
-    ctx.font = "bold 1.1em Segoe UI";
-    ctx.fillStyle = "#27ae60";
-    ctx.fillText("Equilibrium", 20, eqY - 10);
+    if (selected) {
+        ctx.font = "bold 1.1em Segoe UI";
+        ctx.fillStyle = "#27ae60";
+        ctx.fillText("Equilibrium", x0, eqY - 10);
+    }
     ctx.restore();
 
-    // Draw object
-    if (params.shape === 'rect') {
-        const {x, y, w, h} = getObjectRect();
+    if (obj.shape === 'rect') {
+        const {x, y, w, h} = getObjectRect(index);
         // Submerged part
         ctx.save();
         ctx.fillStyle = "rgba(39,174,96,0.25)";
@@ -340,21 +497,23 @@ function drawSim() {
         ctx.restore();
         // Outline
         ctx.save();
-        ctx.fillStyle = "#fbc02d";
-        ctx.strokeStyle = "#b8860b";
-        ctx.lineWidth = 3;
+        ctx.fillStyle = obj.color.fill;
+        ctx.strokeStyle = obj.color.stroke;
+        ctx.lineWidth = selected ? 5 : 3;
         ctx.fillRect(x, y, w, h);
         ctx.strokeRect(x, y, w, h);
         ctx.restore();
         // Drag handle
-        ctx.save();
-        ctx.beginPath();
-        ctx.arc(x + w/2, y, 12, 0, 2*Math.PI);
-        ctx.fillStyle = "#1976d2";
-        ctx.fill();
-        ctx.restore();
+        if (selected) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(x + w/2, y, 12, 0, 2*Math.PI);
+            ctx.fillStyle = "#1976d2";
+            ctx.fill();
+            ctx.restore();
+        }
     } else {
-        const {cx, cy, r} = getObjectCircle();
+        const {cx, cy, r} = getObjectCircle(index);
         // Submerged part
         ctx.save();
         ctx.beginPath();
@@ -369,87 +528,36 @@ function drawSim() {
         ctx.save();
         ctx.beginPath();
         ctx.arc(cx, cy, r, 0, 2*Math.PI);
-        ctx.fillStyle = "#fbc02d";
-        ctx.strokeStyle = "#b8860b";
-        ctx.lineWidth = 3;
+        ctx.fillStyle = obj.color.fill;
+        ctx.strokeStyle = obj.color.stroke;
+        ctx.lineWidth = selected ? 5 : 3;
         ctx.fill();
         ctx.stroke();
         ctx.restore();
         // Drag handle
-        ctx.save();
-        ctx.beginPath();
-        ctx.arc(cx, cy - r, 12, 0, 2*Math.PI);
-        ctx.fillStyle = "#1976d2";
-        ctx.fill();
-        ctx.restore();
+        if (selected) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(cx, cy - r, 12, 0, 2*Math.PI);
+            ctx.fillStyle = "#1976d2";
+            ctx.fill();
+            ctx.restore();
+        }
     }
-
-    // Draw force arrows
-    drawForces();
-
-    // Draw labels
-    ctx.save();
-    ctx.font = "bold 1.3em Segoe UI";
-    ctx.fillStyle = "#1976d2";
-    ctx.fillText("Fluid", 30, yWater + 40);
-    ctx.fillStyle = "#b8860b";
-    ctx.fillText("Object", simCanvas.width/2 - 60, 60);
-    ctx.restore();
 }
 
 function drawForces() {
-    // Draw weight (down) and buoyant (up) arrows with values
-    const g = params.gravity;
-    const fluidRho = params.fluidDensity;
-    const objRho = params.objectDensity;
-    const V = params.objectVolume * 0.001;
-    const m = objRho * V;
-    const yWater = getWaterLevel();
-
-    let objCenterY;
-    if (params.shape === 'rect') {
-        const {x, y, w, h} = getObjectRect();
-        objCenterY = y + h/2;
-    } else {
-        const {cx, cy} = getObjectCircle();
-        objCenterY = cy;
-    }
-
-    // Forces
-    const weight = m * g;
-    let submergedV = 0;
-    if (params.shape === 'rect') {
-        const {x, y, w, h, V} = getObjectRect();
-        const objBottom = y + h;
-        if (objBottom < yWater) {
-            submergedV = 0;
-        } else if (y > yWater) {
-            submergedV = V;
-        } else {
-            const submH = Math.min(h, objBottom - yWater);
-            submergedV = V * (submH / h);
-        }
-    } else {
-        const {cx, cy, r, V} = getObjectCircle();
-        const objBottom = cy + r;
-        const objTop = cy - r;
-        if (objBottom < yWater) {
-            submergedV = 0;
-        } else if (objTop > yWater) {
-            submergedV = V;
-        } else {
-            const h = objBottom - yWater;
-            const capH = Math.min(2*r, Math.max(0, h));
-            const capV = (Math.PI * capH * capH * (3*r - capH)) / 3;
-            submergedV = V * (capV / ((4/3)*Math.PI*r*r*r));
-        }
-    }
-    const buoyant = fluidRho * g * submergedV;
+    // Draw weight (down) and buoyant (up) arrows with values on the
+    // selected object
+    const obj = selectedObject();
+    const {weight, buoyant} = BuoyancyPhysics.forces(getBody(obj), getEnv(), obj.y, obj.vy);
+    const objCenterX = getObjectX(state.selected);
+    const objCenterY = toScreenY(obj.y);
 
     // Weight arrow (down)
-    drawArrowWithValue(simCanvas.width/2 + 60, objCenterY, simCanvas.width/2 + 60, objCenterY + 80, "#e74c3c", 6, weight, "N", "down");
+    drawArrowWithValue(objCenterX + 60, objCenterY, objCenterX + 60, objCenterY + 80, "#e74c3c", 6, weight, "N", "down");
     // Buoyant arrow (up)
-    drawArrowWithValue(simCanvas.width/2 - 60, objCenterY, simCanvas.width/2 - 60, objCenterY - 80, "#27ae60", 6, buoyant, "N", "up");
+    drawArrowWithValue(objCenterX - 60, objCenterY, objCenterX - 60, objCenterY - 80, "#27ae60", 6, buoyant, "N", "up");
 }
 
 function drawArrowWithValue(x1, y1, x2, y2, color, width, value, unit, direction) {
@@ -483,9 +591,14 @@ function drawArrowWithValue(x1, y1, x2, y2, color, width, value, unit, direction
 
 // --- Animation Loop ---
 function loop() {
+    const now = Date.now();
+    const dt = Math.min(MAX_FRAME_DT, (now - state.lastUpdate) / 1000);
+    state.lastUpdate = now;
     resizeCanvas();
-    calcPhysics();
+    calcPhysics(dt);
     drawSim();
     requestAnimationFrame(loop);
 }
-loop();
\ No newline at end of file
+renderLayers();
+selectObject(0);
+loop();
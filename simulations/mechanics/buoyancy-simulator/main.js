@@ -10,14 +10,44 @@ let params = {
     gravity: 9.8,       // m/s²
 };
 let state = {
-    y: 320,             // vertical position of object (pixels)
-    vy: 0,              // vertical velocity (pixels/frame)
+    y: 0.2,             // height of the object's centre above the surface (m)
+    vy: 0,              // vertical velocity (m/s)
     dragging: false,
-    dragOffset: 0,
+    dragOffset: 0,      // pixels
     submerged: 0,       // fraction submerged
     lastUpdate: Date.now()
 };
 
+// --- Scale and Timestep (physics in ../buoyancy-sim/buoyancy-physics.js) ---
+const VIEW_HEIGHT = 1.0;     // metres of tank shown by the canvas height
+const PHYSICS_DT = 1 / 240;  // s, fixed substep
+const MAX_FRAME_DT = 0.1;    // s, longer pauses (hidden tab) are not caught up
+
+function pxPerMeter() {
+    return simCanvas.height / VIEW_HEIGHT;
+}
+function toScreenY(y) {
+    return getWaterLevel() - y * pxPerMeter();
+}
+function toWorldY(py) {
+    return (getWaterLevel() - py) / pxPerMeter();
+}
+
+function getBody() {
+    return BuoyancyPhysics.createBody(params.shape, params.objectDensity, params.objectVolume * 0.001);
+}
+function getEnv() {
+    return { fluidDensity: params.fluidDensity, gravity: params.gravity };
+}
+
+// Lowest and highest centre heights that keep the object inside the tank
+function getBounds(body) {
+    return {
+        min: toWorldY(simCanvas.height) + body.halfHeight,
+        max: toWorldY(0) - body.halfHeight
+    };
+}
+
 // --- Load Textures ---
 const waterTexture = new Image();
 waterTexture.src = 'textures/water.png'; // Path to water texture
@@ -52,6 +82,7 @@ function resetSim() {
     state.vy = 0;
     state.dragging = false;
     state.submerged = 0;
+    state.lastUpdate = Date.now();
 }
 
 // --- Responsive Canvas ---
@@ -73,14 +104,16 @@ simCanvas.addEventListener('mousedown', e => {
     const my = e.clientY - rect.top;
     if (isOnObject(mx, my)) {
         state.dragging = true;
-        state.dragOffset = my - state.y;
+        state.dragOffset = my - toScreenY(state.y);
     }
 });
 window.addEventListener('mousemove', e => {
     if (!state.dragging) return;
     const rect = simCanvas.getBoundingClientRect();
     const my = e.clientY - rect.top;
-    state.y = Math.max(80, Math.min(my - state.dragOffset, simCanvas.height - 80));
+    const {min, max} = getBounds(getBody());
+    state.y = Math.max(min, Math.min(toWorldY(my - state.dragOffset), max));
+    state.vy = 0;
 });
 window.addEventListener('mouseup', () => {
     state.dragging = false;
@@ -99,19 +132,19 @@ function isOnObject(mx, my) {
 }
 
 function getObjectRect() {
-    const V = params.objectVolume * 0.001;
-    const w = 80, h = Math.max(40, 80 * V);
+    const body = getBody();
+    const w = body.size * pxPerMeter(), h = w;
     const x = simCanvas.width / 2 - w / 2;
-    const y = state.y - h / 2;
-    return {x, y, w, h, V};
+    const y = toScreenY(state.y) - h / 2;
+    return {x, y, w, h, V: body.volume};
 }
 
 function getObjectCircle() {
-    const V = params.objectVolume * 0.001;
-    const r = Math.max(30, 80 * Math.cbrt(V));
+    const body = getBody();
+    const r = body.size * pxPerMeter();
     const cx = simCanvas.width / 2;
-    const cy = state.y;
-    return {cx, cy, r, V};
+    const cy = toScreenY(state.y);
+    return {cx, cy, r, V: body.volume};
 }
 
 function getWaterLevel() {
@@ -119,105 +152,38 @@ function getWaterLevel() {
 }
 
 function getEquilibriumY() {
-    const g = params.gravity;
-    const fluidRho = params.fluidDensity;
-    const objRho = params.objectDensity;
-    const V = params.objectVolume * 0.001;
-    const m = objRho * V;
-    const yWater = getWaterLevel();
-
-    if (params.shape === 'rect') {
-        const h = Math.max(40, 80 * V);
-        let submFrac = Math.min(1, Math.max(0, (fluidRho * V * g) / (m * g)));
-        return yWater + h / 2 - h * submFrac;
-    } else {
-        const r = Math.max(30, 80 * Math.cbrt(V));
-        let submFrac = Math.min(1, Math.max(0, (fluidRho / objRho)));
-        return yWater + r - 2 * r * submFrac;
-    }
+    const body = getBody();
+    const y = BuoyancyPhysics.equilibriumY(body, getEnv());
+    return y === null ? getBounds(body).min : Math.min(y, getBounds(body).max);
 }
 
-function calcPhysics() {
-    const g = params.gravity;
-    const fluidRho = params.fluidDensity;
-    const objRho = params.objectDensity;
-    const V = params.objectVolume * 0.001;
-    const m = objRho * V;
-    const yWater = getWaterLevel();
-
-    let submergedV = 0;
-    let submergedFrac = 0;
-    let objBottom, objTop;
-    if (params.shape === 'rect') {
-        const {x, y, w, h} = getObjectRect();
-        objTop = y;
-        objBottom = y + h;
-        if (objBottom < yWater) {
-            submergedV = 0;
-            submergedFrac = 0;
-        } else if (objTop > yWater) {
-            submergedV = V;
-            submergedFrac = 1;
-        } else {
-            const submH = objBottom - yWater;
-            submergedFrac = Math.min(1, Math.max(0, submH / h));
-            submergedV = V * submergedFrac;
-        }
-    } else {
-        const {cx, cy, r} = getObjectCircle();
-        objTop = cy - r;
-        objBottom = cy + r;
-        if (objBottom < yWater) {
-            submergedV = 0;
-            submergedFrac = 0;
-        } else if (objTop > yWater) {
-            submergedV = V;
-            submergedFrac = 1;
-        } else {
-            const h = objBottom - yWater;
-            const capH = Math.min(2 * r, Math.max(0, h));
-            const capV = (Math.PI * capH * capH * (3 * r - capH)) / 3;
-            submergedV = V * (capV / ((4 / 3) * Math.PI * r * r * r));
-            submergedFrac = Math.min(1, Math.max(0, capV / ((4 / 3) * Math.PI * r * r * r)));
-        }
-    }
-
-    const weight = m * g;
-    const buoyant = fluidRho * g * submergedV;
-    const netForce = buoyant - weight;
+function calcPhysics(dt) {
+    const body = getBody();
+    const env = getEnv();
+    const {min, max} = getBounds(body);
 
     if (!state.dragging) {
-        state.vy += netForce / (m || 1) * 0.5;
-        state.vy *= 0.96;
-        state.y += state.vy;
-        if (params.shape === 'rect') {
-            const {h} = getObjectRect();
-            if (state.y > simCanvas.height - h / 2) {
-                state.y = simCanvas.height - h / 2;
-                state.vy = 0;
-            }
-            if (state.y < h / 2) {
-                state.y = h / 2;
-                state.vy = 0;
-            }
-        } else {
-            const {r} = getObjectCircle();
-            if (state.y > simCanvas.height - r) {
-                state.y = simCanvas.height - r;
-                state.vy = 0;
+        for (let left = dt; left > 1e-9; left -= PHYSICS_DT) {
+            BuoyancyPhysics.step(body, env, state, Math.min(PHYSICS_DT, left));
+            if (state.y < min) {
+                state.y = min;
+                state.vy = Math.max(0, state.vy);
             }
-            if (state.y < r) {
-                state.y = r;
-                state.vy = 0;
+            if (state.y > max) {
+                state.y = max;
+                state.vy = Math.min(0, state.vy);
             }
         }
     }
 
-    state.submerged = submergedFrac;
+    const {weight, buoyant, drag, submergedV, fraction} = BuoyancyPhysics.forces(body, env, state.y, state.vy);
+    const netForce = state.y <= min && buoyant < weight ? 0 : buoyant - weight + drag;
+    state.submerged = fraction;
 
-    document.getElementById('objectMassDisp').textContent = m.toFixed(2);
+    document.getElementById('objectMassDisp').textContent = body.mass.toFixed(2);
     document.getElementById('weightDisp').textContent = weight.toFixed(2);
     document.getElementById('buoyantDisp').textContent = buoyant.toFixed(2);
+    document.getElementById('dragDisp').textContent = drag.toFixed(2);
     document.getElementById('netForceDisp').textContent = netForce.toFixed(2);
     document.getElementById('submergedDisp').textContent = (submergedV * 1000).toFixed(2);
 }
@@ -233,7 +199,7 @@ function drawSim() {
     ctx.setLineDash([8, 8]);
     ctx.strokeStyle = "#27ae60";
     ctx.lineWidth = 2;
-    const eqY = getEquilibriumY();
+    const eqY = toScreenY(getEquilibriumY());
     ctx.beginPath();
     ctx.moveTo(0, eqY);
     ctx.lineTo(simCanvas.width, eqY);
@@ -295,8 +261,11 @@ function drawSim() {
 
 // --- Animation Loop ---
 function loop() {
+    const now = Date.now();
+    const dt = Math.min(MAX_FRAME_DT, (now - state.lastUpdate) / 1000);
+    state.lastUpdate = now;
     resizeCanvas();
-    calcPhysics();
+    calcPhysics(dt);
     drawSim();
     requestAnimationFrame(loop);
 }
@@ -0,0 +1,101 @@
+// Atmosphere models and reentry heating for the escape-velocity pages: the
+// single-scale-height exponential ρ0·exp(-h/H), the layered US Standard
+// Atmosphere 1976, and the Sutton–Graves stagnation-point heat flux.
+// Altitudes are geometric metres above the surface, everything in SI units.
+(function (root) {
+  'use strict';
+
+  const G0 = 9.80665;        // m/s²
+  const R_STAR = 8.31432;    // J/(mol·K), the value the 1976 standard uses
+  const M_AIR = 0.0289644;   // kg/mol
+  const R_EARTH = 6356766;   // m, radius for the geopotential altitude
+  const SIGMA = 5.670374e-8; // Stefan–Boltzmann, W/(m²·K⁴)
+  const K_EARTH = 1.7415e-4; // Sutton–Graves constant for air, kg^0.5/m
+
+  // Base geopotential altitude (m), temperature (K) and lapse rate (K/m)
+  // of the seven layers up to 84.852 km geopotential (86 km geometric)
+  const LAYERS = [
+    [0, 288.15, -0.0065],
+    [11000, 216.65, 0],
+    [20000, 216.65, 0.001],
+    [32000, 228.65, 0.0028],
+    [47000, 270.65, 0],
+    [51000, 270.65, -0.0028],
+    [71000, 214.65, -0.002]
+  ];
+  const TOP = 84852;
+
+  function layerPressure(pb, tb, lapse, dh) {
+    if (lapse === 0) return pb * Math.exp(-G0 * M_AIR * dh / (R_STAR * tb));
+    return pb * Math.pow(tb / (tb + lapse * dh), G0 * M_AIR / (R_STAR * lapse));
+  }
+
+  // Pressure at the base of each layer, from 101325 Pa at sea level
+  const BASE_PRESSURE = LAYERS.reduce((list, layer, i) => {
+    if (i === 0) return [101325];
+    const [hb, tb, lapse] = LAYERS[i - 1];
+    list.push(layerPressure(list[i - 1], tb, lapse, layer[0] - hb));
+    return list;
+  }, []);
+
+  // Tabulated densities of the standard above 86 km (km, kg/m³),
+  // interpolated logarithmically and extrapolated past 1000 km
+  const THERMOSPHERE = [
+    [86, 6.958e-6], [100, 5.604e-7], [110, 9.708e-8], [120, 2.222e-8],
+    [150, 2.076e-9], [200, 2.541e-10], [250, 6.073e-11], [300, 1.916e-11],
+    [400, 2.803e-12], [500, 5.215e-13], [600, 1.137e-13], [700, 3.070e-14],
+    [800, 1.136e-14], [900, 5.759e-15], [1000, 3.561e-15]
+  ];
+
+  function thermosphereDensity(z) {
+    const km = z / 1000;
+    let i = THERMOSPHERE.findIndex(([top], j) => j > 0 && km <= top);
+    if (i < 0) i = THERMOSPHERE.length - 1;
+    const [z0, rho0] = THERMOSPHERE[i - 1], [z1, rho1] = THERMOSPHERE[i];
+    return rho0 * Math.pow(rho1 / rho0, (km - z0) / (z1 - z0));
+  }
+
+  // US Standard Atmosphere 1976 at geometric altitude z (m). Temperature and
+  // pressure are only modelled below 86 km, where the gas is well mixed.
+  function standardAtmosphere(z) {
+    z = Math.max(0, z);
+    const h = R_EARTH * z / (R_EARTH + z);
+    if (h >= TOP) return { temperature: null, pressure: null, density: thermosphereDensity(z) };
+    let i = LAYERS.length - 1;
+    while (LAYERS[i][0] > h) i--;
+    const [hb, tb, lapse] = LAYERS[i];
+    const temperature = tb + lapse * (h - hb);
+    const pressure = layerPressure(BASE_PRESSURE[i], tb, lapse, h - hb);
+    return { temperature, pressure, density: pressure * M_AIR / (R_STAR * temperature) };
+  }
+
+  function exponentialDensity(rho0, H, altitude) {
+    return rho0 * Math.exp(-Math.max(0, altitude) / H);
+  }
+
+  // planet { atmo, model: 'exponential' | 'us1976', rho0, H }
+  function density(planet, altitude) {
+    if (!planet.atmo) return 0;
+    if (planet.model === 'us1976') return standardAtmosphere(altitude).density;
+    return exponentialDensity(planet.rho0, planet.H, altitude);
+  }
+
+  // Convective heat flux at the stagnation point of a blunt nose (W/m²),
+  // q = k·sqrt(ρ/Rn)·v³ with k set by the gas composition
+  function stagnationHeatFlux(rho, speed, noseRadius, k = K_EARTH) {
+    if (!(rho > 0) || !(noseRadius > 0)) return 0;
+    return k * Math.sqrt(rho / noseRadius) * speed * speed * speed;
+  }
+
+  // Surface temperature at which re-radiation balances the heat flux (K)
+  function equilibriumTemperature(heatFlux, emissivity = 0.85) {
+    return Math.pow(Math.max(0, heatFlux) / (emissivity * SIGMA), 0.25);
+  }
+
+  const Atmosphere = {
+    K_EARTH, standardAtmosphere, exponentialDensity, density,
+    stagnationHeatFlux, equilibriumTemperature
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Atmosphere;
+  else root.Atmosphere = Atmosphere;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Atmosphere from './atmosphere.js';
+
+const { standardAtmosphere, exponentialDensity, density, stagnationHeatFlux, equilibriumTemperature } = Atmosphere;
+
+function close(actual, expected, relative, message) {
+  assert.ok(Math.abs(actual - expected) <= relative * Math.abs(expected), message || `${actual} vs ${expected}`);
+}
+
+describe('US Standard Atmosphere 1976', () => {
+  it('matches the published table through the layers', () => {
+    // geometric km, K, Pa, kg/m³
+    const table = [
+      [0, 288.15, 101325, 1.2250],
+      [11, 216.77, 22700, 0.36480],
+      [20, 216.65, 5529.3, 0.088910],
+      [32, 228.49, 889.06, 0.013555],
+      [50, 270.65, 79.779, 0.0010269],
+      [80, 198.64, 1.0524, 1.8458e-5]
+    ];
+    for (const [km, T, P, rho] of table) {
+      const air = standardAtmosphere(km * 1000);
+      close(air.temperature, T, 1e-4, `T at ${km} km: ${air.temperature}`);
+      close(air.pressure, P, 1e-3, `P at ${km} km: ${air.pressure}`);
+      close(air.density, rho, 1e-3, `rho at ${km} km: ${air.density}`);
+    }
+  });
+
+  it('joins the tabulated thermosphere at 86 km and keeps falling', () => {
+    close(standardAtmosphere(85999).density, standardAtmosphere(86001).density, 1e-3);
+    assert.equal(standardAtmosphere(200e3).density, 2.541e-10);
+    assert.equal(standardAtmosphere(200e3).temperature, null);
+    let last = Infinity;
+    for (let z = 0; z <= 2000e3; z += 5e3) {
+      const rho = standardAtmosphere(z).density;
+      assert.ok(rho > 0 && rho < last, `${z}`);
+      last = rho;
+    }
+  });
+
+  it('holds sea level below the surface', () => {
+    assert.deepEqual(standardAtmosphere(-500), standardAtmosphere(0));
+  });
+});
+
+describe('density', () => {
+  it('follows the chosen model and is zero without an atmosphere', () => {
+    const exponential = { atmo: true, model: 'exponential', rho0: 0.02, H: 11100 };
+    close(density(exponential, 11100), 0.02 / Math.E, 1e-12);
+    assert.equal(density({ ...exponential, atmo: false }, 0), 0);
+    assert.equal(density({ ...exponential, model: 'us1976' }, 20e3), standardAtmosphere(20e3).density);
+    assert.equal(exponentialDensity(1.2, 8000, -100), 1.2);
+  });
+});
+
+describe('reentry heating', () => {
+  it('scales with the cube of speed and the root of density over nose radius', () => {
+    const q = stagnationHeatFlux(1e-4, 7000, 1);
+    close(q, 1.7415e-4 * 1e-2 * 343e9, 1e-12);
+    close(stagnationHeatFlux(1e-4, 14000, 1), 8 * q, 1e-12);
+    close(stagnationHeatFlux(4e-4, 7000, 4), q, 1e-12);
+    assert.equal(stagnationHeatFlux(0, 7000, 1), 0);
+  });
+
+  it('gives the radiative equilibrium temperature', () => {
+    const T = equilibriumTemperature(1e6);
+    close(0.85 * 5.670374e-8 * T ** 4, 1e6, 1e-12);
+  });
+});
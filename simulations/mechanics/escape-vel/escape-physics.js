@@ -0,0 +1,115 @@
+// Numerical core of escape.html: Newtonian gravity of a point-mass planet,
+// quadratic drag, the RK4 step and the escape test. Positions are
+// planet-centred {x, y} in SI units. A body is { M, CdA, R, density } where
+// CdA is the drag area per kilogram (Cd·A/m) and density(altitude) the air
+// density.
+(function (root) {
+  'use strict';
+
+  const G = 6.67430e-11; // m^3 kg^-1 s^-2
+
+  function escapeVelocity(M, r) {
+    return Math.sqrt(2 * G * M / r);
+  }
+
+  function circularVelocity(M, r) {
+    return Math.sqrt(G * M / r);
+  }
+
+  function gravityAcc(M, pos) {
+    const r2 = pos.x * pos.x + pos.y * pos.y;
+    const r = Math.sqrt(r2);
+    const a = -G * M / r2;
+    return { ax: a * pos.x / r, ay: a * pos.y / r, r };
+  }
+
+  // a_drag = -(0.5 * rho * CdA) * |v| * v, with CdA already per kilogram
+  function dragAcc(vel, rho, CdA) {
+    const v = Math.hypot(vel.x, vel.y);
+    if (v === 0 || !(rho > 0)) return { dx: 0, dy: 0 };
+    const k = 0.5 * rho * CdA;
+    return { dx: -k * vel.x * v, dy: -k * vel.y * v };
+  }
+
+  function specificEnergy(M, rVec, vVec) {
+    const r = Math.hypot(rVec.x, rVec.y);
+    const v2 = vVec.x * vVec.x + vVec.y * vVec.y;
+    return 0.5 * v2 - G * M / r;
+  }
+
+  // Launch from (R + alt0, 0) with the angle measured from the local
+  // horizontal, which points counterclockwise (+y) there
+  function launchState(R, alt0, v0, angleDeg) {
+    const theta = angleDeg * Math.PI / 180;
+    return {
+      r: { x: R + alt0, y: 0 },
+      v: { x: v0 * Math.sin(theta), y: v0 * Math.cos(theta) }
+    };
+  }
+
+  function derivatives(body, r, v) {
+    const g = gravityAcc(body.M, r);
+    const d = dragAcc(v, body.density ? body.density(g.r - body.R) : 0, body.CdA);
+    return { rx: v.x, ry: v.y, vx: g.ax + d.dx, vy: g.ay + d.dy };
+  }
+
+  // Classic RK4 on state { r, v, t }, updated in place
+  function step(body, state, dt) {
+    const r0 = { x: state.r.x, y: state.r.y };
+    const v0 = { x: state.v.x, y: state.v.y };
+    const k1 = derivatives(body, r0, v0);
+    const k2 = derivatives(body,
+      { x: r0.x + 0.5 * dt * k1.rx, y: r0.y + 0.5 * dt * k1.ry },
+      { x: v0.x + 0.5 * dt * k1.vx, y: v0.y + 0.5 * dt * k1.vy });
+    const k3 = derivatives(body,
+      { x: r0.x + 0.5 * dt * k2.rx, y: r0.y + 0.5 * dt * k2.ry },
+      { x: v0.x + 0.5 * dt * k2.vx, y: v0.y + 0.5 * dt * k2.vy });
+    const k4 = derivatives(body,
+      { x: r0.x + dt * k3.rx, y: r0.y + dt * k3.ry },
+      { x: v0.x + dt * k3.vx, y: v0.y + dt * k3.vy });
+
+    state.r = {
+      x: r0.x + (dt / 6) * (k1.rx + 2 * k2.rx + 2 * k3.rx + k4.rx),
+      y: r0.y + (dt / 6) * (k1.ry + 2 * k2.ry + 2 * k3.ry + k4.ry)
+    };
+    state.v = {
+      x: v0.x + (dt / 6) * (k1.vx + 2 * k2.vx + 2 * k3.vx + k4.vx),
+      y: v0.y + (dt / 6) * (k1.vy + 2 * k2.vy + 2 * k3.vy + k4.vy)
+    };
+    state.t += dt;
+  }
+
+  // Escape once the specific energy is positive and the distance has kept
+  // growing for `window` samples, or has passed `farFactor` launch radii
+  class EscapeCheck {
+    constructor(window = 60, farFactor = 20) {
+      this.window = window;
+      this.farFactor = farFactor;
+      this.reset();
+    }
+
+    reset() {
+      this.lastR = null;
+      this.increasingCount = 0;
+    }
+
+    update(r) {
+      if (this.lastR !== null) {
+        if (r > this.lastR) this.increasingCount++;
+        else this.increasingCount = 0;
+      }
+      this.lastR = r;
+    }
+
+    escaped(energy, r, launchR) {
+      return energy > 0 && (this.increasingCount > this.window || r > this.farFactor * launchR);
+    }
+  }
+
+  const EscapePhysics = {
+    G, escapeVelocity, circularVelocity, gravityAcc, dragAcc, specificEnergy,
+    launchState, derivatives, step, EscapeCheck
+  };
+  if (typeof module === 'object' && module.exports) module.exports = EscapePhysics;
+  else root.EscapePhysics = EscapePhysics;
+})(typeof window !== 'undefined' ? window : globalThis);
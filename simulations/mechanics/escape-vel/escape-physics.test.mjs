@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import EscapePhysics from './escape-physics.js';
+
+const { escapeVelocity, circularVelocity, dragAcc, specificEnergy, launchState, step, EscapeCheck } = EscapePhysics;
+
+const EARTH = { M: 5.97219e24, R: 6.371e6, CdA: 0 };
+
+function launch(v0, angleDeg, body = EARTH) {
+  return { ...launchState(body.R, 0, v0, angleDeg), t: 0 };
+}
+
+function radius(state) {
+  return Math.hypot(state.r.x, state.r.y);
+}
+
+describe('analytic speeds', () => {
+  it('give the textbook escape velocity and its circular counterpart', () => {
+    assert.ok(Math.abs(escapeVelocity(EARTH.M, EARTH.R) - 11186) < 1);
+    assert.ok(Math.abs(escapeVelocity(EARTH.M, EARTH.R) / circularVelocity(EARTH.M, EARTH.R) - Math.SQRT2) < 1e-12);
+  });
+});
+
+describe('launchState', () => {
+  it('measures the angle from the local horizontal', () => {
+    const level = launchState(1e6, 0, 100, 0), vertical = launchState(1e6, 500, 100, 90);
+    assert.deepEqual(level.r, { x: 1e6, y: 0 });
+    assert.ok(Math.abs(level.v.x) < 1e-12 && level.v.y === 100);
+    assert.equal(vertical.r.x, 1e6 + 500);
+    assert.ok(vertical.v.x === 100 && Math.abs(vertical.v.y) < 1e-12);
+  });
+});
+
+describe('RK4 step', () => {
+  it('keeps a level launch at circular speed on its circle', () => {
+    const state = launch(circularVelocity(EARTH.M, EARTH.R), 0);
+    const period = 2 * Math.PI * EARTH.R / circularVelocity(EARTH.M, EARTH.R);
+    while (state.t < period) step(EARTH, state, 1);
+    assert.ok(Math.abs(radius(state) / EARTH.R - 1) < 1e-7);
+  });
+
+  it('peaks at the analytic height below the escape velocity', () => {
+    const ve = escapeVelocity(EARTH.M, EARTH.R);
+    const state = launch(0.9 * ve, 90);
+    let peak = 0;
+    while (state.v.x > 0 || state.t === 0) {
+      step(EARTH, state, 2);
+      peak = Math.max(peak, radius(state));
+    }
+    // Energy conservation: v0²/2 - GM/R = -GM/r_max
+    const analytic = EARTH.R / (1 - 0.81);
+    assert.ok(Math.abs(peak / analytic - 1) < 1e-4, `${peak} vs ${analytic}`);
+    while (radius(state) > EARTH.R) step(EARTH, state, 2);
+    assert.ok(state.v.x < 0);
+  });
+
+  it('escapes just above the escape velocity, conserving energy', () => {
+    const ve = escapeVelocity(EARTH.M, EARTH.R);
+    const state = launch(1.01 * ve, 90);
+    const energy = specificEnergy(EARTH.M, state.r, state.v);
+    const check = new EscapeCheck();
+    let escaped = false;
+    for (let i = 0; i < 200000 && !escaped; i++) {
+      step(EARTH, state, 5);
+      check.update(radius(state));
+      escaped = check.escaped(specificEnergy(EARTH.M, state.r, state.v), radius(state), EARTH.R);
+    }
+    assert.ok(escaped && state.v.x > 0);
+    const drift = specificEnergy(EARTH.M, state.r, state.v) - energy;
+    assert.ok(Math.abs(drift / energy) < 1e-6, `${drift}`);
+  });
+});
+
+describe('drag', () => {
+  it('grows with the square of the speed', () => {
+    const slow = dragAcc({ x: 10, y: 0 }, 1.2, 0.01), fast = dragAcc({ x: 0, y: -20 }, 1.2, 0.01);
+    assert.ok(Math.abs(slow.dx + 0.6) < 1e-12);
+    assert.ok(Math.abs(fast.dy - 4 * 0.6) < 1e-12);
+    assert.deepEqual(dragAcc({ x: 10, y: 0 }, 0, 0.01), { dx: 0, dy: 0 });
+  });
+
+  it('slows a launch that would escape in vacuum', () => {
+    const air = { ...EARTH, CdA: 1e-4, density: alt => 1.225 * Math.exp(-Math.max(0, alt) / 8500) };
+    const state = launch(1.05 * escapeVelocity(EARTH.M, EARTH.R), 90, air);
+    while (state.t < 120) step(air, state, 0.05);
+    assert.ok(specificEnergy(EARTH.M, state.r, state.v) < 0);
+  });
+});
+
+describe('EscapeCheck', () => {
+  it('needs positive energy as well as a growing distance', () => {
+    const check = new EscapeCheck(3);
+    for (const r of [1, 2, 3, 4, 5]) check.update(r);
+    assert.ok(check.escaped(1, 5, 1));
+    assert.ok(!check.escaped(-1, 5, 1));
+    assert.ok(!check.escaped(-1, 100, 1));
+    check.update(4);
+    assert.ok(!check.escaped(1, 4, 1));
+    assert.ok(check.escaped(1, 40, 1));
+  });
+});
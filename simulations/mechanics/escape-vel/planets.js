@@ -0,0 +1,111 @@
+// Planet library for the escape-velocity pages: the Sun, planets, dwarf
+// planets and major moons, plus user-defined planets kept in localStorage.
+// A planet is { key, name, group, M (kg), R (m), atmo, model, rho0 (kg/m³),
+// H (m), heatK }, where model is 'exponential' or 'us1976' (see
+// atmosphere.js) and heatK is the Sutton–Graves constant of its gas.
+// Gas giants use their 1-bar radius.
+(function (root) {
+  'use strict';
+
+  const STORAGE_KEY = 'escape-vel.planets';
+  const USER_GROUP = 'Saved';
+  const MODELS = ['exponential', 'us1976'];
+
+  // Sutton–Graves constants (kg^0.5/m) by atmospheric composition
+  const HEAT_K = { air: 1.7415e-4, co2: 1.9027e-4, n2: 1.7407e-4, h2he: 0.6556e-4 };
+
+  function body(key, name, group, M, R, atmosphere) {
+    const airless = { atmo: false, model: 'exponential', rho0: 0, H: 8000, heatK: HEAT_K.air };
+    return Object.freeze({ key, name, group, M, R, ...airless, ...atmosphere });
+  }
+
+  // Surface (or 1-bar) density and scale height from the NASA fact sheets
+  const BODIES = Object.freeze([
+    body('sun', 'Sun', 'Star', 1.98847e30, 6.957e8),
+    body('mercury', 'Mercury', 'Planets', 3.3011e23, 2.4397e6),
+    body('venus', 'Venus', 'Planets', 4.8675e24, 6.0518e6, { atmo: true, rho0: 65, H: 15900, heatK: HEAT_K.co2 }),
+    body('earth', 'Earth', 'Planets', 5.97219e24, 6.371e6, { atmo: true, model: 'us1976', rho0: 1.225, H: 8500 }),
+    body('mars', 'Mars', 'Planets', 6.4171e23, 3.3895e6, { atmo: true, rho0: 0.020, H: 11100, heatK: HEAT_K.co2 }),
+    body('jupiter', 'Jupiter', 'Planets', 1.89813e27, 6.9911e7, { atmo: true, rho0: 0.16, H: 27000, heatK: HEAT_K.h2he }),
+    body('saturn', 'Saturn', 'Planets', 5.6834e26, 5.8232e7, { atmo: true, rho0: 0.19, H: 59500, heatK: HEAT_K.h2he }),
+    body('uranus', 'Uranus', 'Planets', 8.6810e25, 2.5362e7, { atmo: true, rho0: 0.42, H: 27700, heatK: HEAT_K.h2he }),
+    body('neptune', 'Neptune', 'Planets', 1.02413e26, 2.4622e7, { atmo: true, rho0: 0.45, H: 19700, heatK: HEAT_K.h2he }),
+    body('ceres', 'Ceres', 'Dwarf planets', 9.3835e20, 4.697e5),
+    body('pluto', 'Pluto', 'Dwarf planets', 1.303e22, 1.1883e6),
+    body('eris', 'Eris', 'Dwarf planets', 1.6466e22, 1.163e6),
+    body('moon', 'Moon', 'Moons', 7.34767309e22, 1.7374e6),
+    body('phobos', 'Phobos', 'Moons', 1.0659e16, 1.1267e4),
+    body('deimos', 'Deimos', 'Moons', 1.4762e15, 6.2e3),
+    body('io', 'Io', 'Moons', 8.931938e22, 1.8216e6),
+    body('europa', 'Europa', 'Moons', 4.799844e22, 1.5608e6),
+    body('ganymede', 'Ganymede', 'Moons', 1.4819e23, 2.6341e6),
+    body('callisto', 'Callisto', 'Moons', 1.075938e23, 2.4103e6),
+    body('titan', 'Titan', 'Moons', 1.3452e23, 2.5747e6, { atmo: true, rho0: 5.3, H: 21000, heatK: HEAT_K.n2 }),
+    body('triton', 'Triton', 'Moons', 2.139e22, 1.3534e6),
+    body('charon', 'Charon', 'Moons', 1.586e21, 6.06e5)
+  ]);
+
+  function userKey(name) {
+    return `user:${name}`;
+  }
+
+  // Checked copy of a user planet; throws with a message for the form
+  function validatePlanet(planet) {
+    const name = String(planet.name || '').trim();
+    if (!name) throw new Error('Give the planet a name');
+    const [M, R, rho0, H] = ['M', 'R', 'rho0', 'H'].map(field => Number(planet[field]));
+    if (!(M > 0)) throw new Error('Mass must be a positive number');
+    if (!(R > 0)) throw new Error('Radius must be a positive number');
+    if (!(rho0 >= 0)) throw new Error('Surface density must be zero or more');
+    if (!(H > 0)) throw new Error('Scale height must be a positive number');
+    return {
+      key: userKey(name), name, group: USER_GROUP, M, R,
+      atmo: Boolean(planet.atmo),
+      model: MODELS.includes(planet.model) ? planet.model : 'exponential',
+      rho0, H,
+      heatK: Number(planet.heatK) > 0 ? Number(planet.heatK) : HEAT_K.air
+    };
+  }
+
+  // Saved planets, skipping entries that no longer validate; storage may be
+  // null where the browser refuses it (private windows, some file:// pages)
+  function loadUserPlanets(storage) {
+    if (!storage) return [];
+    let list;
+    try { list = JSON.parse(storage.getItem(STORAGE_KEY) || '[]'); } catch (err) { return []; }
+    if (!Array.isArray(list)) return [];
+    return list.flatMap(planet => {
+      try { return [validatePlanet(planet)]; } catch (err) { return []; }
+    });
+  }
+
+  function storeUserPlanets(storage, list) {
+    if (!storage) throw new Error('This browser does not allow saving planets');
+    storage.setItem(STORAGE_KEY, JSON.stringify(list));
+    return list;
+  }
+
+  // Adds or replaces (by name, ignoring case) and returns the saved list
+  function saveUserPlanet(storage, planet) {
+    const saved = validatePlanet(planet);
+    const list = loadUserPlanets(storage).filter(p => p.name.toLowerCase() !== saved.name.toLowerCase());
+    list.push(saved);
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    return storeUserPlanets(storage, list);
+  }
+
+  function deleteUserPlanet(storage, name) {
+    return storeUserPlanets(storage, loadUserPlanets(storage).filter(p => p.name !== name));
+  }
+
+  function findPlanet(key, userPlanets = []) {
+    return BODIES.find(p => p.key === key) || userPlanets.find(p => p.key === key) || null;
+  }
+
+  const Planets = {
+    STORAGE_KEY, USER_GROUP, HEAT_K, BODIES, validatePlanet,
+    loadUserPlanets, saveUserPlanet, deleteUserPlanet, findPlanet
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Planets;
+  else root.Planets = Planets;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Planets from './planets.js';
+
+const { STORAGE_KEY, BODIES, validatePlanet, loadUserPlanets, saveUserPlanet, deleteUserPlanet, findPlanet } = Planets;
+
+// Just enough of the Web Storage interface
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return { getItem: key => (key in data ? data[key] : null), setItem: (key, value) => { data[key] = String(value); }, data };
+}
+
+const VULCAN = { name: 'Vulcan', M: 3e24, R: 5e6, atmo: true, model: 'exponential', rho0: 0.8, H: 9000 };
+
+describe('library', () => {
+  it('covers the planets with unique keys and sensible surface gravity', () => {
+    const keys = BODIES.map(p => p.key);
+    assert.equal(new Set(keys).size, keys.length);
+    for (const name of ['Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Moon', 'Pluto']) {
+      assert.ok(BODIES.some(p => p.name === name), name);
+    }
+    const g = p => 6.6743e-11 * p.M / p.R ** 2;
+    assert.ok(Math.abs(g(findPlanet('earth')) - 9.82) < 0.01);
+    assert.ok(Math.abs(g(findPlanet('moon')) - 1.62) < 0.01);
+    assert.equal(findPlanet('earth').model, 'us1976');
+    assert.equal(findPlanet('nowhere'), null);
+  });
+});
+
+describe('user planets', () => {
+  it('validate with a message for each bad field', () => {
+    assert.throws(() => validatePlanet({ ...VULCAN, name: ' ' }), /name/);
+    assert.throws(() => validatePlanet({ ...VULCAN, M: -1 }), /Mass/);
+    assert.throws(() => validatePlanet({ ...VULCAN, R: 'big' }), /Radius/);
+    assert.throws(() => validatePlanet({ ...VULCAN, H: 0 }), /Scale height/);
+    assert.equal(validatePlanet({ ...VULCAN, M: '3e24', model: 'other' }).model, 'exponential');
+  });
+
+  it('round-trip through storage, replacing by name', () => {
+    const storage = memoryStorage();
+    saveUserPlanet(storage, VULCAN);
+    saveUserPlanet(storage, { ...VULCAN, name: 'Arrakis', atmo: false });
+    const list = saveUserPlanet(storage, { ...VULCAN, name: 'vulcan', R: 6e6 });
+    assert.deepEqual(list.map(p => p.name), ['Arrakis', 'vulcan']);
+    assert.deepEqual(loadUserPlanets(storage), list);
+    assert.equal(findPlanet('user:vulcan', list).R, 6e6);
+    assert.deepEqual(deleteUserPlanet(storage, 'Arrakis').map(p => p.name), ['vulcan']);
+  });
+
+  it('ignore unreadable or invalid saved data', () => {
+    assert.deepEqual(loadUserPlanets(memoryStorage({ [STORAGE_KEY]: '{oops' })), []);
+    const stored = JSON.stringify([VULCAN, { name: 'Broken', M: 0, R: 1 }]);
+    assert.deepEqual(loadUserPlanets(memoryStorage({ [STORAGE_KEY]: stored })).map(p => p.name), ['Vulcan']);
+    assert.deepEqual(loadUserPlanets(null), []);
+    assert.throws(() => saveUserPlanet(null, VULCAN), /does not allow/);
+  });
+});
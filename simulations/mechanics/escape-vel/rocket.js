@@ -0,0 +1,326 @@
+// Launch-to-orbit ascent for the rocket mode of escape.html: a staged
+// vehicle with constant-thrust engines, drag in an exponential atmosphere and
+// a gravity-turn or tabulated pitch program. Positions are planet-centred
+// {x, y} in SI units; the launch site is at (R, 0) and "east" is
+// counterclockwise.
+(function (root) {
+  'use strict';
+
+  const G = 6.67430e-11;
+  const G0 = 9.80665; // standard gravity, defines Isp (m/s²)
+  const DEG = Math.PI / 180;
+
+  // Stages are { name, dryMass (kg), propellantMass (kg), thrust (N), isp (s) }
+  // listed bottom first; cdA is the drag coefficient times frontal area (m²)
+  const VEHICLE_PRESETS = Object.freeze({
+    twoStage: {
+      name: 'Two-stage orbital launcher',
+      payload: 10000, cdA: 3.2,
+      stages: [
+        { name: 'Stage 1', dryMass: 25600, propellantMass: 395700, thrust: 7.6e6, isp: 300 },
+        { name: 'Stage 2', dryMass: 3900, propellantMass: 92670, thrust: 9.81e5, isp: 348 }
+      ]
+    },
+    singleStage: {
+      name: 'Single stage',
+      payload: 1000, cdA: 1.0,
+      stages: [
+        { name: 'Stage 1', dryMass: 8000, propellantMass: 90000, thrust: 1.6e6, isp: 330 }
+      ]
+    },
+    sounding: {
+      name: 'Sounding rocket',
+      payload: 100, cdA: 0.05,
+      stages: [
+        { name: 'Motor', dryMass: 300, propellantMass: 900, thrust: 60000, isp: 250 }
+      ]
+    }
+  });
+
+  function exhaustVelocity(isp) {
+    return isp * G0;
+  }
+
+  function massFlow(stage) {
+    return stage.thrust / exhaustVelocity(stage.isp);
+  }
+
+  // Tsiolkovsky rocket equation
+  function tsiolkovsky(isp, m0, mf) {
+    return exhaustVelocity(isp) * Math.log(m0 / mf);
+  }
+
+  function vehicleMass(vehicle, fromStage = 0) {
+    return vehicle.stages.slice(fromStage).reduce((sum, stage) => sum + stage.dryMass + stage.propellantMass, vehicle.payload);
+  }
+
+  // Ideal delta-v of each stage, which also carries everything above it
+  function stageDeltaV(vehicle) {
+    return vehicle.stages.map((stage, i) => {
+      const m0 = vehicleMass(vehicle, i);
+      return tsiolkovsky(stage.isp, m0, m0 - stage.propellantMass);
+    });
+  }
+
+  function idealDeltaV(vehicle) {
+    return stageDeltaV(vehicle).reduce((sum, dv) => sum + dv, 0);
+  }
+
+  // "t:pitch" pairs (s, degrees above the local horizontal) separated by
+  // commas or new lines, e.g. "0:90, 10:90, 60:45, 200:0"
+  function parsePitchTable(text) {
+    const table = text.split(/[,;\n]+/).map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^(-?[\d.eE+-]+)\s*:\s*(-?[\d.eE+-]+)$/);
+      if (!match) throw new Error(`Cannot read "${item}"; use time:pitch pairs`);
+      return [Number(match[1]), Number(match[2])];
+    });
+    if (!table.length || table.some(([t, p]) => !Number.isFinite(t) || !Number.isFinite(p))) {
+      throw new Error('The pitch table needs numeric time:pitch pairs');
+    }
+    return table.sort((a, b) => a[0] - b[0]);
+  }
+
+  // Linear interpolation, held constant outside the table
+  function tablePitch(table, t) {
+    if (t <= table[0][0]) return table[0][1];
+    for (let i = 1; i < table.length; i++) {
+      const [t1, p1] = table[i];
+      if (t <= t1) {
+        const [t0, p0] = table[i - 1];
+        return p0 + (p1 - p0) * (t - t0) / (t1 - t0);
+      }
+    }
+    return table[table.length - 1][1];
+  }
+
+  // planet { M, R, atmo, rho0, H, density? } where density(altitude), when
+  // given, replaces the exponential model; vehicle as in VEHICLE_PRESETS;
+  // guidance { mode: 'gravityTurn' | 'table', turnSpeed (m/s), kick (deg),
+  // table, targetAltitude (m, cut the engines once the periapsis is this high; 0 burns to depletion) }
+  class RocketAscent {
+    constructor(planet, vehicle, guidance) {
+      this.planet = planet;
+      this.vehicle = vehicle;
+      this.guidance = guidance;
+      this.mu = G * planet.M;
+
+      this.t = 0;
+      this.r = { x: planet.R, y: 0 };
+      this.v = { x: 0, y: 0 };
+      this.stage = 0;
+      this.propellant = vehicle.stages.map(stage => stage.propellantMass);
+      this.mass = vehicleMass(vehicle);
+      this.engineOn = vehicle.stages.length > 0;
+      this.phase = 'vertical';
+      this.onPad = true;
+
+      // Delta-v budget: spent = integral of T/m, and the parts lost to gravity and drag.
+      // Propellant burnt while held down on the pad counts as a loss of its own.
+      this.dvSpent = 0;
+      this.gravityLoss = 0;
+      this.dragLoss = 0;
+      this.holdDownLoss = 0;
+      this.events = [];
+      this.outcome = 'On pad';
+    }
+
+    get currentStage() {
+      return this.engineOn ? this.vehicle.stages[this.stage] || null : null;
+    }
+
+    altitude(r = this.r) {
+      return Math.hypot(r.x, r.y) - this.planet.R;
+    }
+
+    density(altitude) {
+      if (!this.planet.atmo) return 0;
+      if (this.planet.density) return this.planet.density(altitude);
+      return this.planet.rho0 * Math.exp(-Math.max(0, altitude) / this.planet.H);
+    }
+
+    // Velocity components along the local horizontal (east) and vertical
+    localVelocity(r = this.r, v = this.v) {
+      const rm = Math.hypot(r.x, r.y);
+      const up = { x: r.x / rm, y: r.y / rm };
+      return { horizontal: -up.y * v.x + up.x * v.y, vertical: up.x * v.x + up.y * v.y };
+    }
+
+    // Pitch above the local horizontal (rad) the guidance asks for
+    pitch(r, v) {
+      const g = this.guidance;
+      if (g.mode === 'table') return tablePitch(g.table, this.t) * DEG;
+      if (this.phase === 'vertical') return Math.PI / 2;
+      const { horizontal, vertical } = this.localVelocity(r, v);
+      const flightPath = Math.atan2(vertical, horizontal);
+      // Hold the kick until the velocity has tipped over as far, then fly
+      // prograde, but never below the horizon once the climb flattens out
+      return this.phase === 'pitchover' ? Math.min((90 - g.kick) * DEG, flightPath) : Math.max(0, flightPath);
+    }
+
+    thrustDirection(r, v) {
+      const rm = Math.hypot(r.x, r.y);
+      const up = { x: r.x / rm, y: r.y / rm }, east = { x: -up.y, y: up.x };
+      const p = this.pitch(r, v);
+      return { x: Math.cos(p) * east.x + Math.sin(p) * up.x, y: Math.cos(p) * east.y + Math.sin(p) * up.y };
+    }
+
+    // Accelerations for position r, velocity v and mass m
+    accelerations(r, v, m) {
+      const rm = Math.hypot(r.x, r.y);
+      const g = this.mu / (rm * rm);
+      const gravity = { x: -g * r.x / rm, y: -g * r.y / rm };
+
+      const speed = Math.hypot(v.x, v.y);
+      const dragForce = 0.5 * this.density(rm - this.planet.R) * speed * speed * this.vehicle.cdA;
+      const drag = speed > 0 ? { x: -dragForce / m * v.x / speed, y: -dragForce / m * v.y / speed } : { x: 0, y: 0 };
+
+      const stage = this.currentStage;
+      let thrust = { x: 0, y: 0 };
+      if (stage) {
+        const d = this.thrustDirection(r, v);
+        thrust = { x: stage.thrust / m * d.x, y: stage.thrust / m * d.y };
+      }
+      return { gravity, drag, thrust, total: { x: gravity.x + drag.x + thrust.x, y: gravity.y + drag.y + thrust.y } };
+    }
+
+    // RK4 over position, velocity and mass for one interval without staging;
+    // returns the interval's contributions to the delta-v budget
+    integrate(h) {
+      const stage = this.currentStage;
+      const mdot = stage ? massFlow(stage) : 0;
+      const deriv = (r, v, m) => ({ r: v, v: this.accelerations(r, v, m).total });
+      const shift = (k, f) => ({
+        r: { x: this.r.x + f * k.r.x, y: this.r.y + f * k.r.y },
+        v: { x: this.v.x + f * k.v.x, y: this.v.y + f * k.v.y }
+      });
+      const m0 = this.mass;
+      const k1 = deriv(this.r, this.v, m0);
+      const s2 = shift(k1, h / 2), k2 = deriv(s2.r, s2.v, m0 - mdot * h / 2);
+      const s3 = shift(k2, h / 2), k3 = deriv(s3.r, s3.v, m0 - mdot * h / 2);
+      const s4 = shift(k3, h), k4 = deriv(s4.r, s4.v, m0 - mdot * h);
+
+      const before = this.lossRates(this.r, this.v, m0);
+      this.r = {
+        x: this.r.x + h / 6 * (k1.r.x + 2 * k2.r.x + 2 * k3.r.x + k4.r.x),
+        y: this.r.y + h / 6 * (k1.r.y + 2 * k2.r.y + 2 * k3.r.y + k4.r.y)
+      };
+      this.v = {
+        x: this.v.x + h / 6 * (k1.v.x + 2 * k2.v.x + 2 * k3.v.x + k4.v.x),
+        y: this.v.y + h / 6 * (k1.v.y + 2 * k2.v.y + 2 * k3.v.y + k4.v.y)
+      };
+      this.mass = m0 - mdot * h;
+      if (stage) this.propellant[this.stage] -= mdot * h;
+      const after = this.lossRates(this.r, this.v, this.mass);
+      this.t += h;
+      return {
+        dv: stage ? tsiolkovsky(stage.isp, m0, this.mass) : 0,
+        gravity: h / 2 * (before.gravity + after.gravity),
+        drag: h / 2 * (before.drag + after.drag)
+      };
+    }
+
+    // Rates at which gravity and drag take speed away along the flight path
+    lossRates(r, v, m) {
+      const speed = Math.hypot(v.x, v.y);
+      if (speed === 0) return { gravity: 0, drag: 0 };
+      const { gravity, drag } = this.accelerations(r, v, m);
+      return {
+        gravity: -(gravity.x * v.x + gravity.y * v.y) / speed,
+        drag: -(drag.x * v.x + drag.y * v.y) / speed
+      };
+    }
+
+    log(label) {
+      this.events.push({ label, t: this.t, altitude: this.altitude(), speed: Math.hypot(this.v.x, this.v.y) });
+    }
+
+    // Periapsis radius of the osculating orbit
+    periapsis() {
+      const rm = Math.hypot(this.r.x, this.r.y);
+      const v2 = this.v.x * this.v.x + this.v.y * this.v.y;
+      const h = this.r.x * this.v.y - this.r.y * this.v.x;
+      const energy = v2 / 2 - this.mu / rm;
+      const e = Math.sqrt(Math.max(0, 1 + 2 * energy * h * h / (this.mu * this.mu)));
+      return h * h / (this.mu * (1 + e));
+    }
+
+    energy() {
+      return (this.v.x * this.v.x + this.v.y * this.v.y) / 2 - this.mu / Math.hypot(this.r.x, this.r.y);
+    }
+
+    separate() {
+      const stage = this.vehicle.stages[this.stage];
+      this.mass -= stage.dryMass + Math.max(0, this.propellant[this.stage]);
+      this.propellant[this.stage] = 0;
+      this.stage++;
+      if (this.stage < this.vehicle.stages.length) {
+        this.log(`${stage.name} separation`);
+      } else {
+        this.engineOn = false;
+        this.log('Burnout');
+      }
+    }
+
+    updatePhase() {
+      const speed = Math.hypot(this.v.x, this.v.y);
+      if (this.phase === 'vertical' && this.guidance.mode !== 'table' && speed >= this.guidance.turnSpeed) {
+        this.phase = 'pitchover';
+        this.log('Pitch-over');
+      } else if (this.phase === 'pitchover') {
+        const { horizontal, vertical } = this.localVelocity();
+        if (Math.atan2(vertical, horizontal) <= (90 - this.guidance.kick) * DEG) this.phase = 'prograde';
+      }
+    }
+
+    updateOutcome() {
+      const altitude = this.altitude();
+      if (!this.onPad && altitude <= 0) { this.outcome = 'Impacted'; return; }
+      if (this.onPad) { this.outcome = 'On pad'; return; }
+      if (this.engineOn) { this.outcome = 'Powered ascent'; return; }
+      if (this.energy() >= 0) { this.outcome = 'Escape trajectory'; return; }
+      // A periapsis inside the sensible atmosphere (ten scale heights) decays
+      const floor = this.planet.atmo ? 10 * this.planet.H : 0;
+      this.outcome = this.periapsis() - this.planet.R > floor ? 'Orbit' : 'Suborbital';
+    }
+
+    // Advance by dt, splitting the interval at staging so each burn ends exactly on its propellant
+    step(dt) {
+      let left = dt;
+      while (left > 1e-12 && this.outcome !== 'Impacted') {
+        let stage = this.currentStage;
+        if (stage && this.propellant[this.stage] <= 1e-9) { this.separate(); continue; }
+        const h = stage ? Math.min(left, this.propellant[this.stage] / massFlow(stage)) : left;
+        this.updatePhase();
+        const budget = this.integrate(h);
+        left -= h;
+
+        // Held down until the thrust beats the weight
+        if (this.onPad && this.altitude() <= 0) {
+          this.r = { x: this.planet.R, y: 0 };
+          this.v = { x: 0, y: 0 };
+          this.holdDownLoss += budget.dv;
+        } else {
+          if (this.onPad) { this.onPad = false; this.log('Liftoff'); }
+          this.dvSpent += budget.dv;
+          this.gravityLoss += budget.gravity;
+          this.dragLoss += budget.drag;
+        }
+
+        stage = this.currentStage;
+        if (stage && this.guidance.targetAltitude > 0 && !this.onPad &&
+            this.periapsis() - this.planet.R >= this.guidance.targetAltitude) {
+          this.engineOn = false;
+          this.log('Engine cutoff');
+        }
+        this.updateOutcome();
+      }
+    }
+  }
+
+  const Rocket = {
+    G, G0, VEHICLE_PRESETS, exhaustVelocity, massFlow, tsiolkovsky, vehicleMass,
+    stageDeltaV, idealDeltaV, parsePitchTable, tablePitch, RocketAscent
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Rocket;
+  else root.Rocket = Rocket;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Rocket from './rocket.js';
+
+const { G0, VEHICLE_PRESETS, massFlow, stageDeltaV, idealDeltaV, parsePitchTable, tablePitch, RocketAscent } = Rocket;
+
+const EARTH = { M: 5.97219e24, R: 6.371e6, atmo: true, rho0: 1.225, H: 8500 };
+const VERTICAL = { mode: 'table', table: [[0, 90]], targetAltitude: 0 };
+
+function fly(ascent, dt, until) {
+  while (ascent.t < until && ascent.outcome !== 'Impacted') ascent.step(dt);
+  return ascent;
+}
+
+describe('rocket equation', () => {
+  it('gives each stage the delta-v of its own mass ratio', () => {
+    const vehicle = VEHICLE_PRESETS.twoStage;
+    const [first, second] = stageDeltaV(vehicle);
+    const upper = 10000 + 3900 + 92670;
+    assert.ok(Math.abs(first - 300 * G0 * Math.log((upper + 25600 + 395700) / (upper + 25600))) < 1e-9);
+    assert.ok(Math.abs(second - 348 * G0 * Math.log(upper / (10000 + 3900))) < 1e-9);
+    assert.equal(idealDeltaV(vehicle), first + second);
+  });
+
+  it('is reached exactly without gravity or drag', () => {
+    const ascent = fly(new RocketAscent({ M: 0, R: 1e6, atmo: false }, VEHICLE_PRESETS.twoStage, VERTICAL), 0.5, 600);
+    const ideal = idealDeltaV(VEHICLE_PRESETS.twoStage);
+    assert.ok(Math.abs(ascent.dvSpent - ideal) / ideal < 1e-12);
+    assert.ok(Math.abs(Math.hypot(ascent.v.x, ascent.v.y) - ideal) / ideal < 1e-9);
+    assert.ok(Math.abs(ascent.mass - 10000) < 1e-6);
+  });
+});
+
+describe('RocketAscent', () => {
+  it('separates stages when their propellant runs out', () => {
+    const vehicle = VEHICLE_PRESETS.twoStage;
+    const ascent = fly(new RocketAscent(EARTH, vehicle, VERTICAL), 0.7, 600);
+    const burn1 = vehicle.stages[0].propellantMass / massFlow(vehicle.stages[0]);
+    const burn2 = vehicle.stages[1].propellantMass / massFlow(vehicle.stages[1]);
+    const [liftoff, separation, burnout] = ascent.events;
+    assert.equal(liftoff.label, 'Liftoff');
+    assert.equal(separation.label, 'Stage 1 separation');
+    assert.ok(Math.abs(separation.t - burn1) < 1e-9);
+    assert.equal(burnout.label, 'Burnout');
+    assert.ok(Math.abs(burnout.t - burn1 - burn2) < 1e-9);
+  });
+
+  it('accounts for the speed lost to gravity on a vertical climb', () => {
+    const ascent = fly(new RocketAscent({ ...EARTH, atmo: false }, VEHICLE_PRESETS.sounding, VERTICAL), 0.05, 30);
+    const speed = Math.hypot(ascent.v.x, ascent.v.y);
+    assert.equal(ascent.dragLoss, 0);
+    assert.ok(ascent.gravityLoss > 0);
+    // The losses are integrated by the trapezoid rule alongside the RK4 state
+    assert.ok(Math.abs(speed - (ascent.dvSpent - ascent.gravityLoss)) < 1e-3 * speed, `${speed}`);
+  });
+
+  it('takes the density from the planet when it brings a model', () => {
+    const thin = fly(new RocketAscent({ ...EARTH, density: () => 0 }, VEHICLE_PRESETS.sounding, VERTICAL), 0.1, 20);
+    assert.equal(thin.dragLoss, 0);
+  });
+
+  it('stays on the pad when the thrust is below the weight', () => {
+    const heavy = { payload: 1e6, cdA: 1, stages: [{ name: 'Stage 1', dryMass: 1000, propellantMass: 1000, thrust: 1e5, isp: 300 }] };
+    const ascent = fly(new RocketAscent(EARTH, heavy, VERTICAL), 0.5, 60);
+    assert.equal(ascent.altitude(), 0);
+    assert.equal(ascent.outcome, 'On pad');
+    assert.ok(!ascent.events.some(event => event.label === 'Liftoff'));
+    // The propellant burnt against the clamps buys no speed
+    assert.equal(ascent.dvSpent, 0);
+    assert.equal(ascent.gravityLoss, 0);
+    assert.ok(Math.abs(ascent.holdDownLoss - idealDeltaV(heavy)) < 1e-9);
+  });
+
+  it('reaches orbit with a gravity turn and cuts off at the target periapsis', () => {
+    const guidance = { mode: 'gravityTurn', turnSpeed: 100, kick: 10, targetAltitude: 200e3 };
+    const ascent = fly(new RocketAscent(EARTH, VEHICLE_PRESETS.twoStage, guidance), 0.05, 600);
+    assert.equal(ascent.outcome, 'Orbit');
+    assert.ok(ascent.events.some(event => event.label === 'Engine cutoff'));
+    assert.ok(Math.abs(ascent.periapsis() - EARTH.R - 200e3) < 1e3);
+    // Orbit is mostly sideways speed, bought for less than the escape speed
+    const { horizontal, vertical } = ascent.localVelocity();
+    assert.ok(horizontal > 7000 && Math.abs(vertical) < horizontal / 4);
+    assert.ok(ascent.dvSpent < Math.sqrt(2 * Rocket.G * EARTH.M / EARTH.R));
+    assert.ok(ascent.gravityLoss > 1000 && ascent.dragLoss > 0);
+  });
+
+  it('falls back when it pitches over too hard', () => {
+    const guidance = { mode: 'gravityTurn', turnSpeed: 50, kick: 12, targetAltitude: 200e3 };
+    const ascent = fly(new RocketAscent(EARTH, VEHICLE_PRESETS.twoStage, guidance), 0.1, 600);
+    assert.equal(ascent.outcome, 'Impacted');
+  });
+});
+
+describe('pitch table', () => {
+  it('interpolates between entries and holds the ends', () => {
+    const table = parsePitchTable('60:45, 0:90\n200:0');
+    assert.deepEqual(table, [[0, 90], [60, 45], [200, 0]]);
+    assert.equal(tablePitch(table, 30), 67.5);
+    assert.equal(tablePitch(table, -5), 90);
+    assert.equal(tablePitch(table, 500), 0);
+  });
+
+  it('rejects entries that are not time:pitch pairs', () => {
+    assert.throws(() => parsePitchTable('0:90, 10'), /time:pitch/);
+    assert.throws(() => parsePitchTable(' '), /numeric/);
+  });
+});
@@ -0,0 +1,169 @@
+// Impulsive manoeuvres for the Kepler mode of kepler.html: orbital elements
+// from a state vector, burns scheduled at true anomalies, and the analytic
+// Hohmann and bi-elliptic transfers between circular orbits. Vectors are
+// {x, y} in SI units and angles are in radians.
+(function (root) {
+  'use strict';
+
+  // Below this eccentricity the periapsis direction is meaningless, so
+  // anomalies are measured from the +x axis instead
+  const CIRCULAR_E = 1e-4;
+
+  const BURN_KINDS = Object.freeze({
+    prograde: 'Prograde',
+    retrograde: 'Retrograde',
+    radialOut: 'Radial out',
+    radialIn: 'Radial in'
+  });
+
+  function normalizeAngle(x) {
+    return Math.atan2(Math.sin(x), Math.cos(x));
+  }
+
+  // Semi-major axis a, eccentricity e, specific angular momentum h (z),
+  // argument of periapsis omega and true anomaly nu of the orbit through r, v
+  function elementsFromState(mu, r, v) {
+    const rmag = Math.hypot(r.x, r.y);
+    const v2 = v.x * v.x + v.y * v.y;
+    const rv = r.x * v.x + r.y * v.y;
+    const h = r.x * v.y - r.y * v.x;
+    const ex = ((v2 - mu / rmag) * r.x - rv * v.x) / mu;
+    const ey = ((v2 - mu / rmag) * r.y - rv * v.y) / mu;
+    const e = Math.hypot(ex, ey);
+    const energy = v2 / 2 - mu / rmag;
+    const omega = e < CIRCULAR_E ? 0 : Math.atan2(ey, ex);
+    // The anomaly grows in the direction of motion, also for clockwise orbits
+    const nu = normalizeAngle((h >= 0 ? 1 : -1) * (Math.atan2(r.y, r.x) - omega));
+    return { a: -mu / (2 * energy), e, h, omega, nu, energy };
+  }
+
+  function burnDirection(kind, r, v) {
+    const rmag = Math.hypot(r.x, r.y), vmag = Math.hypot(v.x, v.y);
+    switch (kind) {
+      case 'prograde': return { x: v.x / vmag, y: v.y / vmag };
+      case 'retrograde': return { x: -v.x / vmag, y: -v.y / vmag };
+      case 'radialOut': return { x: r.x / rmag, y: r.y / rmag };
+      case 'radialIn': return { x: -r.x / rmag, y: -r.y / rmag };
+      default: throw new Error(`Unknown burn kind: ${kind}`);
+    }
+  }
+
+  // Velocity after an impulse of magnitude dv (m/s)
+  function applyBurn(kind, r, v, dv) {
+    const d = burnDirection(kind, r, v);
+    return { x: v.x + d.x * dv, y: v.y + d.y * dv };
+  }
+
+  // True when the anomaly moved forward past target between two samples
+  function crossedAnomaly(previous, current, target) {
+    const before = normalizeAngle(previous - target), after = normalizeAngle(current - target);
+    return before < 0 && after >= 0 && after - before < Math.PI;
+  }
+
+  function circularSpeed(mu, r) {
+    return Math.sqrt(mu / r);
+  }
+
+  // Vis-viva speed at radius r on the orbit whose opposite apsis is at targetRadius
+  function apsisSpeed(mu, r, targetRadius) {
+    return Math.sqrt(2 * mu * targetRadius / (r * (r + targetRadius)));
+  }
+
+  // Two-impulse transfer between circular orbits; dv holds burn magnitudes
+  // and time is the coast between them
+  function hohmann(mu, r1, r2) {
+    const dv = [
+      Math.abs(apsisSpeed(mu, r1, r2) - circularSpeed(mu, r1)),
+      Math.abs(circularSpeed(mu, r2) - apsisSpeed(mu, r2, r1))
+    ];
+    const a = (r1 + r2) / 2;
+    return { dv, total: dv[0] + dv[1], time: Math.PI * Math.sqrt(a ** 3 / mu) };
+  }
+
+  // Three-impulse transfer through an intermediate apoapsis rb >= max(r1, r2)
+  function biElliptic(mu, r1, r2, rb) {
+    const dv = [
+      Math.abs(apsisSpeed(mu, r1, rb) - circularSpeed(mu, r1)),
+      Math.abs(apsisSpeed(mu, rb, r2) - apsisSpeed(mu, rb, r1)),
+      Math.abs(apsisSpeed(mu, r2, rb) - circularSpeed(mu, r2))
+    ];
+    const a1 = (r1 + rb) / 2, a2 = (rb + r2) / 2;
+    return { dv, total: dv[0] + dv[1] + dv[2], time: Math.PI * (Math.sqrt(a1 ** 3 / mu) + Math.sqrt(a2 ** 3 / mu)) };
+  }
+
+  // Burn lists for a craft on the circular orbit r1. A burn fires once the
+  // craft passes anomaly nu (null: at once) and either has a fixed dv or
+  // sets the opposite apsis to targetRadius from wherever it actually fires.
+  function hohmannPlan(r1, r2) {
+    const kind = r2 > r1 ? 'prograde' : 'retrograde';
+    return [
+      { label: 'Transfer', kind, nu: null, targetRadius: r2 },
+      { label: 'Circularize', kind, nu: r2 > r1 ? Math.PI : 0, targetRadius: r2 }
+    ];
+  }
+
+  function biEllipticPlan(r1, r2, rb) {
+    return [
+      { label: 'Raise apoapsis', kind: 'prograde', nu: null, targetRadius: rb },
+      { label: 'Move periapsis', kind: r2 > r1 ? 'prograde' : 'retrograde', nu: Math.PI, targetRadius: r2 },
+      { label: 'Circularize', kind: 'retrograde', nu: 0, targetRadius: r2 }
+    ];
+  }
+
+  // Burns fire in order: only the first pending one is armed. Executed burns
+  // are logged with their time, position and magnitude.
+  class BurnSchedule {
+    constructor(burns = []) {
+      this.burns = [];
+      burns.forEach(burn => this.add(burn));
+      this.reset();
+    }
+
+    add(burn) {
+      this.burns.push({ ...burn, done: false });
+    }
+
+    // Re-arm every burn, e.g. when the orbit is reset
+    reset() {
+      this.burns.forEach(burn => { burn.done = false; });
+      this.previousNu = null;
+      this.total = 0;
+      this.log = [];
+    }
+
+    get next() {
+      return this.burns.find(burn => !burn.done) || null;
+    }
+
+    // Call after each integration step with { r, v, t }; applies the armed
+    // burn to state.v when its anomaly is reached and returns the log entry
+    update(mu, state) {
+      const burn = this.next;
+      const { nu } = elementsFromState(mu, state.r, state.v);
+      const previous = this.previousNu;
+      this.previousNu = nu;
+      if (!burn) return null;
+      if (burn.nu !== null && (previous === null || !crossedAnomaly(previous, nu, burn.nu))) return null;
+
+      const speed = Math.hypot(state.v.x, state.v.y);
+      const dv = burn.targetRadius !== undefined
+        ? Math.abs(apsisSpeed(mu, Math.hypot(state.r.x, state.r.y), burn.targetRadius) - speed)
+        : burn.dv;
+      state.v = applyBurn(burn.kind, state.r, state.v, dv);
+      burn.done = true;
+      this.total += Math.abs(dv);
+      // The anomaly is measured on the new orbit from here on
+      this.previousNu = elementsFromState(mu, state.r, state.v).nu;
+      const entry = { label: burn.label, kind: burn.kind, dv, t: state.t, x: state.r.x, y: state.r.y };
+      this.log.push(entry);
+      return entry;
+    }
+  }
+
+  const Maneuvers = {
+    CIRCULAR_E, BURN_KINDS, normalizeAngle, elementsFromState, burnDirection, applyBurn,
+    crossedAnomaly, circularSpeed, apsisSpeed, hohmann, biElliptic, hohmannPlan, biEllipticPlan, BurnSchedule
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Maneuvers;
+  else root.Maneuvers = Maneuvers;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Maneuvers from './maneuvers.js';
+
+const { elementsFromState, applyBurn, crossedAnomaly, hohmann, biElliptic, hohmannPlan, biEllipticPlan, BurnSchedule } = Maneuvers;
+
+const MU = 3.986004418e14;
+
+function circular(r) {
+  return { r: { x: r, y: 0 }, v: { x: 0, y: Math.sqrt(MU / r) }, t: 0 };
+}
+
+// Velocity Verlet as in kepler.html, checking the schedule after every step
+function fly(state, schedule, duration, dt = 1) {
+  const accel = r => { const k = -MU / Math.hypot(r.x, r.y) ** 3; return { x: k * r.x, y: k * r.y }; };
+  for (let t = 0; t < duration; t += dt) {
+    schedule.update(MU, state);
+    const a0 = accel(state.r);
+    state.r = { x: state.r.x + state.v.x * dt + 0.5 * a0.x * dt * dt, y: state.r.y + state.v.y * dt + 0.5 * a0.y * dt * dt };
+    const a1 = accel(state.r);
+    state.v = { x: state.v.x + 0.5 * (a0.x + a1.x) * dt, y: state.v.y + 0.5 * (a0.y + a1.y) * dt };
+    state.t += dt;
+  }
+  return state;
+}
+
+describe('elementsFromState', () => {
+  it('recovers the ellipse and anomaly at both apsides', () => {
+    const a = 3e7, e = 0.6, omega = Math.PI / 6;
+    const rp = a * (1 - e), vp = Math.sqrt(MU * (1 + e) / rp);
+    const peri = elementsFromState(MU, { x: rp * Math.cos(omega), y: rp * Math.sin(omega) }, { x: -vp * Math.sin(omega), y: vp * Math.cos(omega) });
+    assert.ok(Math.abs(peri.a - a) / a < 1e-12 && Math.abs(peri.e - e) < 1e-12);
+    assert.ok(Math.abs(peri.omega - omega) < 1e-12 && Math.abs(peri.nu) < 1e-12);
+
+    const ra = a * (1 + e), va = Math.sqrt(MU * (1 - e) / ra);
+    const apo = elementsFromState(MU, { x: -ra * Math.cos(omega), y: -ra * Math.sin(omega) }, { x: va * Math.sin(omega), y: -va * Math.cos(omega) });
+    assert.ok(Math.abs(Math.abs(apo.nu) - Math.PI) < 1e-9);
+  });
+
+  it('measures circular orbits from the +x axis', () => {
+    const { e, omega, nu } = elementsFromState(MU, { x: 0, y: 7e6 }, { x: -Math.sqrt(MU / 7e6), y: 0 });
+    assert.ok(e < 1e-12 && omega === 0);
+    assert.ok(Math.abs(nu - Math.PI / 2) < 1e-12);
+  });
+});
+
+describe('burns', () => {
+  it('leave the angular momentum alone when radial', () => {
+    const { r, v } = circular(7e6);
+    const before = elementsFromState(MU, r, v);
+    const after = elementsFromState(MU, r, applyBurn('radialOut', r, v, 300));
+    assert.ok(Math.abs(after.h - before.h) / before.h < 1e-12);
+    assert.ok(after.e > 0.03);
+  });
+
+  it('detect a forward pass through the target anomaly', () => {
+    assert.ok(crossedAnomaly(-0.01, 0.01, 0));
+    assert.ok(crossedAnomaly(3.1, -3.1, Math.PI));
+    assert.ok(!crossedAnomaly(0.01, -0.01, 0));
+    assert.ok(!crossedAnomaly(3.1, -3.1, 0));
+  });
+});
+
+describe('transfers', () => {
+  it('match the textbook LEO to GEO Hohmann delta-v', () => {
+    const { dv, total, time } = hohmann(MU, 6678e3, 42164e3);
+    assert.ok(Math.abs(dv[0] - 2426) < 2 && Math.abs(dv[1] - 1467) < 2, `${dv}`);
+    assert.ok(Math.abs(total - 3893) < 3);
+    assert.ok(Math.abs(time / 3600 - 5.275) < 0.005);
+  });
+
+  it('favour bi-elliptic transfers only for large radius ratios', () => {
+    const r1 = 7e6;
+    assert.ok(biElliptic(MU, r1, 5 * r1, 60 * r1).total > hohmann(MU, r1, 5 * r1).total);
+    assert.ok(biElliptic(MU, r1, 20 * r1, 60 * r1).total < hohmann(MU, r1, 20 * r1).total);
+  });
+
+  it('reach the target orbit when flown with the analytic delta-v', () => {
+    for (const [r1, r2] of [[7e6, 1.4e7], [1.4e7, 7e6]]) {
+      const schedule = new BurnSchedule(hohmannPlan(r1, r2));
+      const analytic = hohmann(MU, r1, r2);
+      const state = fly(circular(r1), schedule, analytic.time * 1.2);
+      const { a, e } = elementsFromState(MU, state.r, state.v);
+      assert.equal(schedule.log.length, 2);
+      assert.ok(Math.abs(schedule.total - analytic.total) / analytic.total < 1e-3, `${schedule.total} ${analytic.total}`);
+      assert.ok(Math.abs(schedule.log[1].t - analytic.time) < 2);
+      assert.ok(Math.abs(a - r2) / r2 < 1e-3 && e < 1e-3, `${a} ${e}`);
+    }
+  });
+
+  it('fly the three bi-elliptic burns in order', () => {
+    const r1 = 7e6, r2 = 2.1e7, rb = 3.5e7;
+    const schedule = new BurnSchedule(biEllipticPlan(r1, r2, rb));
+    const analytic = biElliptic(MU, r1, r2, rb);
+    const state = fly(circular(r1), schedule, analytic.time * 1.1, 2);
+    const { a, e } = elementsFromState(MU, state.r, state.v);
+    assert.deepEqual(schedule.log.map(entry => entry.label), ['Raise apoapsis', 'Move periapsis', 'Circularize']);
+    assert.ok(Math.abs(schedule.total - analytic.total) / analytic.total < 1e-3);
+    assert.ok(Math.abs(a - r2) / r2 < 1e-3 && e < 1e-3, `${a} ${e}`);
+  });
+
+  it('re-arms every burn on reset', () => {
+    const schedule = new BurnSchedule([{ label: 'Kick', kind: 'prograde', nu: null, dv: 10 }]);
+    const state = circular(7e6);
+    assert.equal(schedule.update(MU, state).dv, 10);
+    assert.equal(schedule.next, null);
+    schedule.reset();
+    assert.equal(schedule.total, 0);
+    assert.equal(schedule.next.label, 'Kick');
+  });
+});
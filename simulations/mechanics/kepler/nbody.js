@@ -0,0 +1,188 @@
+// Planar N-body gravity for the N-body mode of kepler.html, following the
+// velocity-Verlet scheme of `free fall/nbody.jl`. Bodies are
+// { name, m, x, y, vx, vy, color } in SI units.
+(function (root) {
+  'use strict';
+
+  const G = 6.67430e-11;
+
+  // Figure-8 choreography (Chenciner & Montgomery 2000) in units G = m = 1
+  const FIGURE_EIGHT = { x: 0.97000436, y: -0.24308753, vx: -0.93240737, vy: -0.86473146, period: 6.32591398 };
+
+  class NBodySystem {
+    // softening is the Plummer length (m) that keeps close passes finite
+    constructor(bodies = [], softening = 0) {
+      this.bodies = bodies.map(body => ({ ...body }));
+      this.softening = softening;
+      this.t = 0;
+      this.acc = null;
+    }
+
+    accelerations() {
+      const n = this.bodies.length;
+      const eps2 = this.softening * this.softening;
+      const acc = this.bodies.map(() => ({ x: 0, y: 0 }));
+      for (let i = 0; i < n - 1; i++) {
+        const bi = this.bodies[i];
+        for (let j = i + 1; j < n; j++) {
+          const bj = this.bodies[j];
+          const dx = bj.x - bi.x, dy = bj.y - bi.y;
+          const r2 = dx * dx + dy * dy + eps2;
+          const invR3 = 1 / (r2 * Math.sqrt(r2));
+          acc[i].x += G * bj.m * invR3 * dx; acc[i].y += G * bj.m * invR3 * dy;
+          acc[j].x -= G * bi.m * invR3 * dx; acc[j].y -= G * bi.m * invR3 * dy;
+        }
+      }
+      return acc;
+    }
+
+    // Velocity Verlet; the end-of-step accelerations are kept for the next step
+    step(dt) {
+      if (!this.acc || this.acc.length !== this.bodies.length) this.acc = this.accelerations();
+      this.bodies.forEach((body, i) => {
+        body.vx += 0.5 * this.acc[i].x * dt; body.vy += 0.5 * this.acc[i].y * dt;
+        body.x += body.vx * dt; body.y += body.vy * dt;
+      });
+      this.acc = this.accelerations();
+      this.bodies.forEach((body, i) => {
+        body.vx += 0.5 * this.acc[i].x * dt; body.vy += 0.5 * this.acc[i].y * dt;
+      });
+      this.t += dt;
+    }
+
+    // Call after moving, adding or removing bodies by hand
+    invalidate() {
+      this.acc = null;
+    }
+
+    totalMass() {
+      return this.bodies.reduce((sum, body) => sum + body.m, 0);
+    }
+
+    centerOfMass() {
+      const m = this.totalMass() || 1;
+      let x = 0, y = 0, vx = 0, vy = 0;
+      for (const body of this.bodies) {
+        x += body.m * body.x; y += body.m * body.y;
+        vx += body.m * body.vx; vy += body.m * body.vy;
+      }
+      return { x: x / m, y: y / m, vx: vx / m, vy: vy / m };
+    }
+
+    momentum() {
+      let x = 0, y = 0;
+      for (const body of this.bodies) { x += body.m * body.vx; y += body.m * body.vy; }
+      return { x, y };
+    }
+
+    // z component about the origin
+    angularMomentum() {
+      return this.bodies.reduce((sum, body) => sum + body.m * (body.x * body.vy - body.y * body.vx), 0);
+    }
+
+    // Kinetic plus Plummer-softened potential energy
+    energy() {
+      const eps2 = this.softening * this.softening;
+      let kinetic = 0, potential = 0;
+      this.bodies.forEach((bi, i) => {
+        kinetic += 0.5 * bi.m * (bi.vx * bi.vx + bi.vy * bi.vy);
+        for (let j = i + 1; j < this.bodies.length; j++) {
+          const bj = this.bodies[j];
+          potential -= G * bi.m * bj.m / Math.sqrt((bj.x - bi.x) ** 2 + (bj.y - bi.y) ** 2 + eps2);
+        }
+      });
+      return kinetic + potential;
+    }
+
+    // Scale for momentum drift: sum of |p_i|, which is nonzero even when the total is
+    sumMomentum() {
+      return this.bodies.reduce((sum, body) => sum + body.m * Math.hypot(body.vx, body.vy), 0);
+    }
+
+    // Shift positions and velocities so the center of mass sits at rest at the origin
+    toBarycentric() {
+      const com = this.centerOfMass();
+      for (const body of this.bodies) {
+        body.x -= com.x; body.y -= com.y; body.vx -= com.vx; body.vy -= com.vy;
+      }
+      this.invalidate();
+    }
+
+    // Velocity for a circular orbit at (x, y) around the center of mass of the
+    // other bodies, counterclockwise, added to that center's own velocity
+    circularVelocity(x, y) {
+      const com = this.centerOfMass();
+      const M = this.totalMass();
+      const dx = x - com.x, dy = y - com.y;
+      const r = Math.hypot(dx, dy);
+      if (M === 0 || r === 0) return { vx: com.vx, vy: com.vy };
+      const v = Math.sqrt(G * M / r);
+      return { vx: com.vx - v * dy / r, vy: com.vy + v * dx / r };
+    }
+  }
+
+  // Two bodies on circular orbits about their barycenter
+  function circularPair(m1, m2, separation) {
+    const v = Math.sqrt(G * (m1 + m2) / separation);
+    const f1 = m2 / (m1 + m2), f2 = m1 / (m1 + m2);
+    return [
+      { m: m1, x: -f1 * separation, y: 0, vx: 0, vy: -f1 * v },
+      { m: m2, x: f2 * separation, y: 0, vx: 0, vy: f2 * v }
+    ];
+  }
+
+  // Each preset gives bodies in the barycentric frame plus a suitable dt (s),
+  // time scale (simulated s per real s) and softening (m)
+  const PRESETS = Object.freeze({
+    binary: {
+      name: 'Binary star',
+      dt: 3600, timeScale: 1.5e6, softening: 1e7,
+      bodies() {
+        const [a, b] = circularPair(2.0e30, 1.2e30, 1.5e11);
+        // A slightly slower secondary makes the orbits visibly elliptical
+        return [
+          { name: 'Star A', color: '#ffd36b', ...a, vy: a.vy * 0.8 },
+          { name: 'Star B', color: '#ff8a42', ...b, vy: b.vy * 0.8 }
+        ];
+      }
+    },
+    sunEarthMoon: {
+      name: 'Sun–Earth–Moon',
+      dt: 1800, timeScale: 2e6, softening: 0,
+      bodies() {
+        const [sun, earth] = circularPair(1.989e30, 5.972e24 + 7.342e22, 1.496e11);
+        const [e, m] = circularPair(5.972e24, 7.342e22, 3.844e8);
+        return [
+          { name: 'Sun', color: '#ffd36b', ...sun },
+          { name: 'Earth', color: '#48c0ff', m: e.m, x: earth.x + e.x, y: e.y, vx: e.vx, vy: earth.vy + e.vy },
+          { name: 'Moon', color: '#cfd6e6', m: m.m, x: earth.x + m.x, y: m.y, vx: m.vx, vy: earth.vy + m.vy }
+        ];
+      }
+    },
+    figureEight: {
+      name: 'Figure-8',
+      dt: 2000, timeScale: 1e6, softening: 0,
+      bodies() {
+        // Length unit 1e11 m and mass unit 1e30 kg set the velocity unit
+        const L = 1e11, M = 1e30, V = Math.sqrt(G * M / L);
+        const { x, y, vx, vy } = FIGURE_EIGHT;
+        return [
+          { name: 'A', color: '#ffd36b', m: M, x: x * L, y: y * L, vx: -vx / 2 * V, vy: -vy / 2 * V },
+          { name: 'B', color: '#39e58c', m: M, x: -x * L, y: -y * L, vx: -vx / 2 * V, vy: -vy / 2 * V },
+          { name: 'C', color: '#ff6b9a', m: M, x: 0, y: 0, vx: vx * V, vy: vy * V }
+        ];
+      }
+    }
+  });
+
+  function createPreset(key) {
+    const preset = PRESETS[key];
+    const system = new NBodySystem(preset.bodies(), preset.softening);
+    system.toBarycentric();
+    return system;
+  }
+
+  const NBody = { G, FIGURE_EIGHT, PRESETS, NBodySystem, createPreset };
+  if (typeof module === 'object' && module.exports) module.exports = NBody;
+  else root.NBody = NBody;
+})(typeof window !== 'undefined' ? window : globalThis);
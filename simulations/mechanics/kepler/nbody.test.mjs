@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import NBody from './nbody.js';
+
+const { G, FIGURE_EIGHT, NBodySystem, createPreset } = NBody;
+
+function run(system, dt, duration) {
+  const steps = Math.round(duration / dt);
+  for (let i = 0; i < steps; i++) system.step(duration / steps);
+}
+
+describe('NBodySystem', () => {
+  it('matches the circular two-body period', () => {
+    const m = 5.972e24, r = 4.0e7;
+    const v = Math.sqrt(G * m / r);
+    const system = new NBodySystem([{ m, x: 0, y: 0, vx: 0, vy: 0 }, { m: 1, x: r, y: 0, vx: 0, vy: v }]);
+    const period = 2 * Math.PI * Math.sqrt(r ** 3 / (G * (m + 1)));
+    run(system, 10, period);
+    const moon = system.bodies[1];
+    assert.ok(Math.hypot(moon.x - r, moon.y) / r < 1e-4);
+  });
+
+  it('conserves momentum and energy', () => {
+    const system = createPreset('binary');
+    const p0 = system.momentum(), e0 = system.energy(), l0 = system.angularMomentum();
+    const scale = system.sumMomentum();
+    run(system, 3600, 3.2e7);
+    const p = system.momentum();
+    assert.ok(Math.hypot(p.x - p0.x, p.y - p0.y) / scale < 1e-12);
+    assert.ok(Math.abs((system.energy() - e0) / e0) < 1e-4);
+    assert.ok(Math.abs((system.angularMomentum() - l0) / l0) < 1e-10);
+  });
+
+  it('moves the center of mass to rest at the origin', () => {
+    const system = new NBodySystem([
+      { m: 2, x: 1, y: 2, vx: 3, vy: 0 },
+      { m: 1, x: 4, y: -1, vx: 0, vy: 6 }
+    ]);
+    system.toBarycentric();
+    const com = system.centerOfMass();
+    for (const value of [com.x, com.y, com.vx, com.vy]) assert.ok(Math.abs(value) < 1e-12);
+    assert.deepEqual(system.bodies.map(body => body.x), [-1, 2]);
+  });
+
+  it('gives a circular orbit velocity around the system', () => {
+    const system = new NBodySystem([{ m: 1e24, x: 0, y: 0, vx: 0, vy: 0 }]);
+    const { vx, vy } = system.circularVelocity(0, 1e7);
+    assert.ok(Math.abs(Math.hypot(vx, vy) - Math.sqrt(G * 1e24 / 1e7)) < 1e-9);
+    assert.ok(vx < 0 && Math.abs(vy) < 1e-12);
+  });
+
+  it('limits the force at close range with softening', () => {
+    const close = [{ m: 1e20, x: 0, y: 0, vx: 0, vy: 0 }, { m: 1e20, x: 1, y: 0, vx: 0, vy: 0 }];
+    const hard = new NBodySystem(close).accelerations()[0].x;
+    const soft = new NBodySystem(close, 1000).accelerations()[0].x;
+    assert.ok(soft > 0 && soft < hard / 1e5);
+  });
+});
+
+describe('presets', () => {
+  it('start in the barycentric frame', () => {
+    for (const key of Object.keys(NBody.PRESETS)) {
+      const system = createPreset(key);
+      const com = system.centerOfMass();
+      const scale = Math.max(...system.bodies.map(body => Math.hypot(body.x, body.y)));
+      assert.ok(Math.hypot(com.x, com.y) / scale < 1e-12, key);
+      assert.ok(Math.hypot(system.momentum().x, system.momentum().y) / system.sumMomentum() < 1e-12, key);
+    }
+  });
+
+  it('keep the Moon bound to the Earth', () => {
+    const system = createPreset('sunEarthMoon');
+    run(system, 1800, 365.25 * 86400 / 4);
+    const [, earth, moon] = system.bodies;
+    const d = Math.hypot(moon.x - earth.x, moon.y - earth.y);
+    assert.ok(d > 3.5e8 && d < 4.2e8, `${d}`);
+  });
+
+  it('repeat the figure-8 after one period', () => {
+    const system = createPreset('figureEight');
+    const start = system.bodies.map(body => ({ x: body.x, y: body.y }));
+    const V = Math.sqrt(G * 1e30 / 1e11);
+    run(system, 2000, FIGURE_EIGHT.period * 1e11 / V);
+    system.bodies.forEach((body, i) => {
+      assert.ok(Math.hypot(body.x - start[i].x, body.y - start[i].y) < 1e-3 * 1e11, body.name);
+    });
+  });
+});
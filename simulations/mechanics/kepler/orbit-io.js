@@ -0,0 +1,180 @@
+// Orbit exchange for kepler.html: JSON with the state vector and classical
+// elements, pasted element lists, and two-line element sets (TLE) flattened
+// onto the orbital plane. Imports always yield { name, mu, r, v } in SI units.
+(function (root) {
+  'use strict';
+
+  const FORMAT = 'kepler-orbit';
+  const VERSION = 1;
+  const MU_EARTH = 3.986004418e14;
+  const DEG = Math.PI / 180;
+
+  function toDeg(rad) {
+    return ((rad / DEG) % 360 + 360) % 360;
+  }
+
+  // Solve Kepler's equation M = E - e sin E by Newton iteration
+  function trueFromMean(M, e) {
+    let E = e < 0.8 ? M : Math.PI;
+    for (let i = 0; i < 50; i++) {
+      const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-14) break;
+    }
+    return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+  }
+
+  function meanFromTrue(nu, e) {
+    const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+    return E - e * Math.sin(E);
+  }
+
+  // Position and velocity on a counterclockwise ellipse; angles in radians
+  function stateFromElements(mu, a, e, omega, nu) {
+    const p = a * (1 - e * e);
+    const r = p / (1 + e * Math.cos(nu));
+    const theta = omega + nu;
+    const k = Math.sqrt(mu / p);
+    return {
+      r: { x: r * Math.cos(theta), y: r * Math.sin(theta) },
+      v: { x: -k * (Math.sin(theta) + e * Math.sin(omega)), y: k * (Math.cos(theta) + e * Math.cos(omega)) }
+    };
+  }
+
+  // `elements` are those of Maneuvers.elementsFromState for the same state
+  function toJSON({ name, mu, t, r, v }, elements) {
+    const bound = elements.e < 1;
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      name: name || null,
+      exported: new Date().toISOString(),
+      units: { length: 'm', velocity: 'm/s', angle: 'deg', time: 's', mu: 'm^3/s^2' },
+      mu,
+      epoch: t,
+      state: { x: r.x, y: r.y, vx: v.x, vy: v.y },
+      elements: {
+        a: bound ? elements.a : null,
+        e: elements.e,
+        argumentOfPeriapsis: toDeg(elements.omega),
+        trueAnomaly: toDeg(elements.nu),
+        meanAnomaly: bound ? toDeg(meanFromTrue(elements.nu, elements.e)) : null,
+        period: bound ? 2 * Math.PI * Math.sqrt(elements.a ** 3 / mu) : null
+      }
+    }, null, 2);
+  }
+
+  // Accepted names for each element in pasted lists and bare JSON objects
+  const ELEMENT_KEYS = {
+    a: ['a', 'semimajoraxis'],
+    e: ['e', 'ecc', 'eccentricity'],
+    omega: ['omega', 'w', 'argp', 'argumentofperiapsis'],
+    nu: ['nu', 'ta', 'trueanomaly'],
+    M: ['m', 'ma', 'meananomaly'],
+    mu: ['mu', 'gm']
+  };
+
+  function readElement(record, name) {
+    const key = Object.keys(record).find(k => ELEMENT_KEYS[name].includes(k.toLowerCase()));
+    if (key === undefined || record[key] === null) return undefined;
+    const value = Number(record[key]);
+    if (!Number.isFinite(value)) throw new Error(`${key} is not a number`);
+    return value;
+  }
+
+  // a (m), e, omega and nu or M (deg), optional mu
+  function orbitFromElements(record, defaultMu, name) {
+    const a = readElement(record, 'a'), e = readElement(record, 'e') ?? 0;
+    const mu = readElement(record, 'mu') ?? defaultMu;
+    const omega = (readElement(record, 'omega') ?? 0) * DEG;
+    const M = readElement(record, 'M');
+    if (!(a > 0)) throw new Error('Semi-major axis a must be a positive length in metres');
+    if (!(e >= 0 && e < 1)) throw new Error('Eccentricity e must be in [0, 1)');
+    if (!(mu > 0)) throw new Error('mu must be positive');
+    const nu = readElement(record, 'nu') !== undefined ? readElement(record, 'nu') * DEG
+      : M !== undefined ? trueFromMean(M * DEG, e) : 0;
+    return { name: name || null, mu, ...stateFromElements(mu, a, e, omega, nu) };
+  }
+
+  // "a=4.2e7 e=0.1 omega=30 nu=0", separated by spaces, commas or new lines
+  function parseElementList(text) {
+    const record = {};
+    for (const pair of text.split(/[\s,;]+/).filter(Boolean)) {
+      const match = pair.match(/^([A-Za-z]+)\s*[=:]\s*(\S+)$/);
+      if (!match) throw new Error(`Cannot read "${pair}"; use name=value pairs`);
+      record[match[1]] = match[2];
+    }
+    return record;
+  }
+
+  function tleChecksum(line) {
+    let sum = 0;
+    for (const ch of line.slice(0, 68)) {
+      if (ch >= '0' && ch <= '9') sum += Number(ch);
+      else if (ch === '-') sum += 1;
+    }
+    return sum % 10;
+  }
+
+  // Fields of a NORAD two-line element set, optionally preceded by a name line
+  function parseTLE(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(Boolean);
+    const first = lines.findIndex(line => line.startsWith('1 '));
+    if (first < 0 || !(lines[first + 1] || '').startsWith('2 ')) throw new Error('A TLE needs line 1 followed by line 2');
+    const [line1, line2] = [lines[first], lines[first + 1]];
+    for (const line of [line1, line2]) {
+      if (line.length < 69) throw new Error(`TLE line ${line[0]} is shorter than 69 columns`);
+      if (tleChecksum(line) !== Number(line[68])) throw new Error(`TLE line ${line[0]} fails its checksum`);
+    }
+    const field = (line, from, to) => Number(line.slice(from - 1, to));
+    return {
+      name: first > 0 ? lines[first - 1].replace(/^0 /, '').trim() : line1.slice(2, 7).trim(),
+      epochYear: field(line1, 19, 20),
+      epochDay: field(line1, 21, 32),
+      inclination: field(line2, 9, 16),
+      raan: field(line2, 18, 25),
+      e: Number(`0.${line2.slice(26, 33).trim()}`),
+      argumentOfPerigee: field(line2, 35, 42),
+      meanAnomaly: field(line2, 44, 51),
+      meanMotion: field(line2, 53, 63)
+    };
+  }
+
+  // The orbit is drawn in its own plane with the periapsis at the longitude
+  // of perigee (RAAN + argument of perigee), which is exact for equatorial
+  // orbits; retrograde satellites are shown counterclockwise like the rest.
+  function orbitFromTLE(tle, mu = MU_EARTH) {
+    const n = tle.meanMotion * 2 * Math.PI / 86400;
+    const a = Math.cbrt(mu / (n * n));
+    const omega = (tle.raan + tle.argumentOfPerigee) * DEG;
+    const nu = trueFromMean(tle.meanAnomaly * DEG, tle.e);
+    return { name: tle.name, mu, ...stateFromElements(mu, a, tle.e, omega, nu) };
+  }
+
+  // Exported JSON, a bare elements object, an element list or a TLE
+  function parseOrbit(text, defaultMu = MU_EARTH) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Nothing to import');
+    if (/^(.*\n)?1 \d/.test(trimmed)) return orbitFromTLE(parseTLE(trimmed));
+    if (!trimmed.startsWith('{')) return orbitFromElements(parseElementList(trimmed), defaultMu);
+
+    let data;
+    try { data = JSON.parse(trimmed); } catch (err) { throw new Error(`Invalid JSON: ${err.message}`); }
+    const mu = Number(data.mu) > 0 ? Number(data.mu) : defaultMu;
+    const s = data.state;
+    if (s) {
+      const values = [s.x, s.y, s.vx, s.vy].map(Number);
+      if (!values.every(Number.isFinite)) throw new Error('state needs numeric x, y, vx and vy');
+      if (values[0] === 0 && values[1] === 0) throw new Error('The orbit cannot start at the central body');
+      return { name: data.name || null, mu, r: { x: values[0], y: values[1] }, v: { x: values[2], y: values[3] } };
+    }
+    return orbitFromElements(data.elements || data, mu, data.name);
+  }
+
+  const OrbitIO = {
+    FORMAT, VERSION, MU_EARTH, trueFromMean, meanFromTrue, stateFromElements,
+    toJSON, parseElementList, parseTLE, orbitFromTLE, parseOrbit
+  };
+  if (typeof module === 'object' && module.exports) module.exports = OrbitIO;
+  else root.OrbitIO = OrbitIO;
+})(typeof window !== 'undefined' ? window : globalThis);
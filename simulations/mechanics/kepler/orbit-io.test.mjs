@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import OrbitIO from './orbit-io.js';
+import Maneuvers from './maneuvers.js';
+
+const { MU_EARTH, trueFromMean, meanFromTrue, stateFromElements, toJSON, parseTLE, parseOrbit } = OrbitIO;
+
+const ISS = `ISS (ZARYA)
+1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927
+2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537`;
+
+function close(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, message || `${actual} vs ${expected}`);
+}
+
+describe('elements', () => {
+  it('invert between mean and true anomaly', () => {
+    for (const e of [0, 0.3, 0.95]) {
+      for (const M of [0.1, 2, 3.1, -1]) close(meanFromTrue(trueFromMean(M, e), e), M, 1e-12);
+    }
+  });
+
+  it('round-trip through a state vector', () => {
+    const omega = 0.7, nu = 2.2;
+    const { r, v } = stateFromElements(MU_EARTH, 2e7, 0.4, omega, nu);
+    const elements = Maneuvers.elementsFromState(MU_EARTH, r, v);
+    close(elements.a, 2e7, 1e-4);
+    close(elements.e, 0.4, 1e-12);
+    close(elements.omega, omega, 1e-12);
+    close(elements.nu, nu, 1e-12);
+  });
+});
+
+describe('JSON', () => {
+  it('exports units, the state vector and the elements', () => {
+    const { r, v } = stateFromElements(MU_EARTH, 2e7, 0.4, 0.7, 2.2);
+    const data = JSON.parse(toJSON({ name: 'test', mu: MU_EARTH, t: 12, r, v }, Maneuvers.elementsFromState(MU_EARTH, r, v)));
+    assert.equal(data.format, 'kepler-orbit');
+    assert.equal(data.units.angle, 'deg');
+    assert.equal(data.epoch, 12);
+    assert.deepEqual(data.state, { x: r.x, y: r.y, vx: v.x, vy: v.y });
+    close(data.elements.argumentOfPeriapsis, 0.7 * 180 / Math.PI, 1e-9);
+    close(data.elements.period, 2 * Math.PI * Math.sqrt(8e21 / MU_EARTH), 1e-3);
+  });
+
+  it('imports its own export', () => {
+    const { r, v } = stateFromElements(1e14, 3e7, 0.2, 1, 1);
+    const text = toJSON({ mu: 1e14, t: 0, r, v }, Maneuvers.elementsFromState(1e14, r, v));
+    const orbit = parseOrbit(text);
+    assert.equal(orbit.mu, 1e14);
+    assert.deepEqual([orbit.r, orbit.v], [r, v]);
+  });
+
+  it('imports elements when there is no state vector', () => {
+    const orbit = parseOrbit('{"elements": {"a": 3e7, "e": 0.5, "argumentOfPeriapsis": 90, "trueAnomaly": 0}}');
+    close(orbit.r.x, 0, 1e-6);
+    close(orbit.r.y, 1.5e7, 1e-6);
+  });
+});
+
+describe('pasted elements', () => {
+  it('reads name=value pairs with mean or true anomaly', () => {
+    const orbit = parseOrbit('a=4.2e7, e=0.1\nomega=30 M=180 mu=3.986e14');
+    const { a, e, nu } = Maneuvers.elementsFromState(3.986e14, orbit.r, orbit.v);
+    close(a, 4.2e7, 1e-3);
+    close(e, 0.1, 1e-12);
+    close(Math.abs(nu), Math.PI, 1e-9);
+  });
+
+  it('rejects unusable input', () => {
+    assert.throws(() => parseOrbit('a=4.2e7 e=1.2'), /Eccentricity/);
+    assert.throws(() => parseOrbit('e=0.1'), /Semi-major/);
+    assert.throws(() => parseOrbit('a 4.2e7'), /name=value/);
+    assert.throws(() => parseOrbit('{"a": '), /Invalid JSON/);
+  });
+});
+
+describe('TLE', () => {
+  it('reads the fields of a two-line element set', () => {
+    const tle = parseTLE(ISS);
+    assert.equal(tle.name, 'ISS (ZARYA)');
+    assert.equal(tle.inclination, 51.6416);
+    assert.equal(tle.e, 0.0006703);
+    assert.equal(tle.meanMotion, 15.72125391);
+    assert.equal(tle.epochDay, 264.51782528);
+  });
+
+  it('rejects a corrupted line', () => {
+    assert.throws(() => parseTLE(ISS.replace('51.6416', '51.6417')), /checksum/);
+  });
+
+  it('gives an orbit with the period from the mean motion', () => {
+    const orbit = parseOrbit(ISS);
+    const { a, e } = Maneuvers.elementsFromState(MU_EARTH, orbit.r, orbit.v);
+    const period = 2 * Math.PI * Math.sqrt(a ** 3 / MU_EARTH);
+    close(period, 86400 / 15.72125391, 1e-6);
+    close(e, 0.0006703, 1e-9);
+    assert.equal(orbit.name, 'ISS (ZARYA)');
+  });
+});
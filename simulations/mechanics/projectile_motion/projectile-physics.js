@@ -0,0 +1,255 @@
+// Projectile dynamics for projectile.html: environment presets, the force
+// model and the integrators. States are { position, velocity, time, mass }
+// with {x, y} vectors in SI units; derivative functions map a state to
+// { velocity, acceleration }.
+(function (root) {
+  'use strict';
+
+  // Height (m) at which the wind speed is given
+  const WIND_REFERENCE_HEIGHT = 10;
+
+  // scaleHeight is the atmospheric e-folding height; liquids have none
+  const ENVIRONMENT_PRESETS = Object.freeze({
+    earth: { gravity: 9.81, density: 1.225, name: 'Earth (Sea Level)', temperature: 288.15, scaleHeight: 8500 },
+    moon: { gravity: 1.62, density: 0, name: 'Lunar Surface', temperature: 250 },
+    mars: { gravity: 3.71, density: 0.020, name: 'Martian Surface', temperature: 210, scaleHeight: 11100 },
+    jupiter: { gravity: 24.79, density: 0.16, name: 'Jovian Atmosphere', temperature: 165, scaleHeight: 27000 },
+    water: { gravity: 9.81, density: 997, name: 'Aquatic Medium', temperature: 293.15 },
+    vacuum: { gravity: 9.81, density: 0, name: 'Deep Space', temperature: 2.7 },
+    custom: { name: 'Custom Configuration' }
+  });
+
+  // Dormand-Prince 5(4) Butcher tableau
+  const DORMAND_PRINCE = Object.freeze({
+    a: [
+      [],
+      [1/5],
+      [3/40, 9/40],
+      [44/45, -56/15, 32/9],
+      [19372/6561, -25360/2187, 64448/6561, -212/729],
+      [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+      [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+    ],
+    // 5th order weights (the last stage is evaluated at the new state)
+    b: [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0],
+    // Difference between the 5th and embedded 4th order weights
+    e: [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40]
+  });
+
+  function addStateDerivative(state, derivative, dt) {
+    return {
+      position: {
+        x: state.position.x + derivative.velocity.x * dt,
+        y: state.position.y + derivative.velocity.y * dt
+      },
+      velocity: {
+        x: state.velocity.x + derivative.acceleration.x * dt,
+        y: state.velocity.y + derivative.acceleration.y * dt
+      },
+      time: state.time + dt,
+      mass: state.mass
+    };
+  }
+
+  // Weighted sum of stage derivatives, as used by the Runge-Kutta tableau
+  function combineDerivatives(stages, weights) {
+    const sum = { velocity: { x: 0, y: 0 }, acceleration: { x: 0, y: 0 } };
+    weights.forEach((weight, i) => {
+      if (weight === 0) return;
+      sum.velocity.x += weight * stages[i].velocity.x;
+      sum.velocity.y += weight * stages[i].velocity.y;
+      sum.acceleration.x += weight * stages[i].acceleration.x;
+      sum.acceleration.y += weight * stages[i].acceleration.y;
+    });
+    return sum;
+  }
+
+  // Integration methods, all advancing (state, derivatives, dt) to a new state
+  const Integrators = Object.freeze({
+    euler(state, derivatives, dt) {
+      return addStateDerivative(state, derivatives(state), dt);
+    },
+
+    // Symplectic Euler: the position update uses the new velocity
+    semiImplicitEuler(state, derivatives, dt) {
+      const { acceleration } = derivatives(state);
+      const velocity = {
+        x: state.velocity.x + acceleration.x * dt,
+        y: state.velocity.y + acceleration.y * dt
+      };
+
+      return {
+        position: {
+          x: state.position.x + velocity.x * dt,
+          y: state.position.y + velocity.y * dt
+        },
+        velocity,
+        time: state.time + dt,
+        mass: state.mass
+      };
+    },
+
+    // Velocity Verlet; drag depends on velocity, so the end acceleration
+    // is evaluated with an Euler-predicted velocity
+    verlet(state, derivatives, dt) {
+      const a0 = derivatives(state).acceleration;
+      const position = {
+        x: state.position.x + state.velocity.x * dt + 0.5 * a0.x * dt * dt,
+        y: state.position.y + state.velocity.y * dt + 0.5 * a0.y * dt * dt
+      };
+      const predicted = {
+        position,
+        velocity: {
+          x: state.velocity.x + a0.x * dt,
+          y: state.velocity.y + a0.y * dt
+        },
+        time: state.time + dt,
+        mass: state.mass
+      };
+      const a1 = derivatives(predicted).acceleration;
+
+      return {
+        position,
+        velocity: {
+          x: state.velocity.x + 0.5 * (a0.x + a1.x) * dt,
+          y: state.velocity.y + 0.5 * (a0.y + a1.y) * dt
+        },
+        time: state.time + dt,
+        mass: state.mass
+      };
+    },
+
+    rk4(state, derivatives, dt) {
+      const k1 = derivatives(state);
+      const k2 = derivatives(addStateDerivative(state, k1, dt * 0.5));
+      const k3 = derivatives(addStateDerivative(state, k2, dt * 0.5));
+      const k4 = derivatives(addStateDerivative(state, k3, dt));
+
+      return addStateDerivative(state, combineDerivatives([k1, k2, k3, k4], [1/6, 1/3, 1/3, 1/6]), dt);
+    },
+
+    // Dormand-Prince 5(4) step; also returns the error estimate scaled by
+    // the tolerance, so error <= 1 means the step can be accepted
+    rk45(state, derivatives, dt, tolerance) {
+      const { a, b, e } = DORMAND_PRINCE;
+      const k = [];
+      for (let stage = 0; stage < a.length; stage++) {
+        k.push(derivatives(addStateDerivative(state, combineDerivatives(k, a[stage]), dt)));
+      }
+
+      const next = addStateDerivative(state, combineDerivatives(k, b), dt);
+      const delta = combineDerivatives(k, e);
+      const components = [
+        [delta.velocity.x, state.position.x, next.position.x],
+        [delta.velocity.y, state.position.y, next.position.y],
+        [delta.acceleration.x, state.velocity.x, next.velocity.x],
+        [delta.acceleration.y, state.velocity.y, next.velocity.y]
+      ];
+
+      // Mixed absolute/relative error norm (RMS over the state vector)
+      let sum = 0;
+      components.forEach(([d, before, after]) => {
+        const scale = tolerance * (1 + Math.max(Math.abs(before), Math.abs(after)));
+        sum += (d * dt / scale) ** 2;
+      });
+
+      next.error = Math.sqrt(sum / components.length);
+      return next;
+    }
+  });
+
+  // Gravity, quadratic drag and Magnus lift. The environment and launch
+  // objects are read on every call, so edits to them apply immediately.
+  class ProjectileModel {
+    constructor(environment, launch) {
+      this.environment = environment;
+      this.launch = launch;
+
+      // Bound so it can be handed to the integrators
+      this.getDerivatives = this.getDerivatives.bind(this);
+    }
+
+    // Medium density at a given height above the launch ground
+    getDensity(height) {
+      if (this.environment.densityModel !== 'exponential') {
+        return this.environment.density;
+      }
+      return this.environment.density * Math.exp(-Math.max(0, height) / this.environment.scaleHeight);
+    }
+
+    // Horizontal wind velocity at a given height
+    getWindSpeed(height) {
+      if (this.environment.windProfile !== 'shear') {
+        return this.environment.windSpeed;
+      }
+      return this.environment.windSpeed * Math.pow(Math.max(0, height) / WIND_REFERENCE_HEIGHT, this.environment.windShear);
+    }
+
+    // Drag and Magnus lift, both from the velocity relative to the air
+    calculateAerodynamicForces(state) {
+      const density = this.getDensity(state.position.y);
+      const relative = {
+        x: state.velocity.x - this.getWindSpeed(state.position.y),
+        y: state.velocity.y
+      };
+      const speed = Math.sqrt(relative.x ** 2 + relative.y ** 2);
+      const result = { density, drag: { x: 0, y: 0 }, lift: { x: 0, y: 0 } };
+      if (density <= 0 || speed === 0) return result;
+
+      const dynamicPressure = 0.5 * density * speed * speed * this.launch.area;
+
+      // Quadratic drag opposes the relative velocity
+      const dragMagnitude = dynamicPressure * this.launch.dragCoefficient;
+      result.drag.x = -dragMagnitude * relative.x / speed;
+      result.drag.y = -dragMagnitude * relative.y / speed;
+
+      // Magnus lift along spin x velocity; the lift coefficient grows with
+      // the spin ratio S = r * omega / v and saturates at 0.5
+      const omega = (this.launch.spinRate || 0) * 2 * Math.PI / 60;
+      if (omega !== 0) {
+        const radius = Math.sqrt(this.launch.area / Math.PI);
+        const spinRatio = radius * omega / speed;
+        const liftCoefficient = spinRatio / (1 + 2 * Math.abs(spinRatio));
+        result.lift.x = -dynamicPressure * liftCoefficient * relative.y / speed;
+        result.lift.y = dynamicPressure * liftCoefficient * relative.x / speed;
+      }
+
+      return result;
+    }
+
+    calculateForces(state) {
+      const aero = this.calculateAerodynamicForces(state);
+      return {
+        x: aero.drag.x + aero.lift.x,
+        y: aero.drag.y + aero.lift.y - this.environment.gravity * state.mass
+      };
+    }
+
+    getDerivatives(state) {
+      const forces = this.calculateForces(state);
+      return {
+        velocity: { x: state.velocity.x, y: state.velocity.y },
+        acceleration: { x: forces.x / state.mass, y: forces.y / state.mass }
+      };
+    }
+
+    calculateMechanicalEnergy(state) {
+      const speedSquared = state.velocity.x ** 2 + state.velocity.y ** 2;
+      return 0.5 * state.mass * speedSquared + state.mass * this.environment.gravity * state.position.y;
+    }
+
+    // Rate at which forces other than gravity remove energy from the projectile
+    calculateDissipatedPower(state) {
+      const forces = this.calculateForces(state);
+      const nonConservative = { x: forces.x, y: forces.y + this.environment.gravity * state.mass };
+      return -(nonConservative.x * state.velocity.x + nonConservative.y * state.velocity.y);
+    }
+  }
+
+  const ProjectilePhysics = {
+    WIND_REFERENCE_HEIGHT, ENVIRONMENT_PRESETS, DORMAND_PRINCE,
+    addStateDerivative, combineDerivatives, Integrators, ProjectileModel
+  };
+  if (typeof module === 'object' && module.exports) module.exports = ProjectilePhysics;
+  else root.ProjectilePhysics = ProjectilePhysics;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ProjectilePhysics from './projectile-physics.js';
+
+const { Integrators, ProjectileModel, ENVIRONMENT_PRESETS } = ProjectilePhysics;
+
+function model(environment = {}, launch = {}) {
+  return new ProjectileModel(
+    { gravity: 9.81, density: 1.225, densityModel: 'uniform', scaleHeight: 8500, windProfile: 'constant', windSpeed: 0, windShear: 0.14, ...environment },
+    { area: 0.01, dragCoefficient: 0.47, spinRate: 0, ...launch }
+  );
+}
+
+function launchState(speed, angle) {
+  const rad = angle * Math.PI / 180;
+  return { position: { x: 0, y: 0 }, velocity: { x: speed * Math.cos(rad), y: speed * Math.sin(rad) }, time: 0, mass: 1 };
+}
+
+// State after `steps` fixed steps of size dt
+function fly(physics, integrator, dt, steps, state = launchState(50, 45)) {
+  for (let i = 0; i < steps; i++) {
+    state = Integrators[integrator](state, physics.getDerivatives, dt, 1e-9);
+  }
+  return state;
+}
+
+describe('integrators', () => {
+  it('match the analytic vacuum trajectory', () => {
+    const vacuum = model({ density: 0 });
+    const v = 50 * Math.SQRT1_2;
+    const exact = { x: v * 5, y: v * 5 - 9.81 * 25 / 2 };
+    for (const integrator of ['semiImplicitEuler', 'verlet', 'rk4', 'rk45']) {
+      const { position, time } = fly(vacuum, integrator, 1/8, 40);
+      const tolerance = integrator === 'semiImplicitEuler' ? 5 : 1e-9;
+      assert.equal(time, 5);
+      assert.ok(Math.abs(position.x - exact.x) < 1e-9, integrator);
+      assert.ok(Math.abs(position.y - exact.y) < tolerance, integrator);
+    }
+    assert.ok(Math.abs(fly(vacuum, 'euler', 1/8, 40).position.y - exact.y) > 1);
+  });
+
+  it('converge at fourth order for RK4 with drag', () => {
+    const earth = model();
+    const reference = fly(earth, 'rk4', 1/1000, 5000).position;
+    const error = (dt) => {
+      const { position } = fly(earth, 'rk4', dt, 5 / dt);
+      return Math.hypot(position.x - reference.x, position.y - reference.y);
+    };
+    const ratio = error(1/10) / error(1/20);
+    assert.ok(ratio > 12 && ratio < 20, `ratio ${ratio}`);
+  });
+
+  it('report a scaled error estimate for RK45', () => {
+    const earth = model();
+    const state = launchState(50, 45);
+    const small = Integrators.rk45(state, earth.getDerivatives, 0.01, 1e-6).error;
+    const large = Integrators.rk45(state, earth.getDerivatives, 0.5, 1e-6).error;
+    assert.ok(small < 1 && large > small);
+  });
+});
+
+describe('ProjectileModel', () => {
+  it('reads environment changes made after construction', () => {
+    const physics = model();
+    physics.environment.gravity = 1.62;
+    assert.equal(physics.getDerivatives(launchState(0, 0)).acceleration.y, -1.62);
+  });
+
+  it('thins the atmosphere with height in the exponential model', () => {
+    const physics = model({ densityModel: 'exponential' });
+    assert.equal(physics.getDensity(0), 1.225);
+    assert.ok(Math.abs(physics.getDensity(8500) - 1.225 / Math.E) < 1e-12);
+    assert.equal(physics.getDensity(-10), 1.225);
+  });
+
+  it('scales a sheared wind with height from the reference height', () => {
+    const physics = model({ windProfile: 'shear', windSpeed: 5, windShear: 0.5 });
+    assert.equal(physics.getWindSpeed(10), 5);
+    assert.equal(physics.getWindSpeed(40), 10);
+    assert.equal(physics.getWindSpeed(0), 0);
+  });
+
+  it('lifts a forward shot with backspin and drops it with topspin', () => {
+    const state = launchState(40, 0);
+    assert.ok(model({}, { spinRate: 3000 }).calculateAerodynamicForces(state).lift.y > 0);
+    assert.ok(model({}, { spinRate: -3000 }).calculateAerodynamicForces(state).lift.y < 0);
+    assert.equal(model({}, { spinRate: 0 }).calculateAerodynamicForces(state).lift.y, 0);
+  });
+
+  it('accounts for the energy drag removes', () => {
+    const physics = model();
+    const dt = 1/240;
+    let state = launchState(50, 45);
+    const initial = physics.calculateMechanicalEnergy(state);
+    let dissipated = 0;
+    for (let i = 0; i < 240; i++) {
+      const next = Integrators.rk4(state, physics.getDerivatives, dt);
+      dissipated += dt / 2 * (physics.calculateDissipatedPower(state) + physics.calculateDissipatedPower(next));
+      state = next;
+    }
+    const total = physics.calculateMechanicalEnergy(state) + dissipated;
+    assert.ok(dissipated > 0);
+    assert.ok(Math.abs(total - initial) / initial < 1e-4);
+  });
+
+  it('has the presets the simulator offers', () => {
+    assert.deepEqual(Object.keys(ENVIRONMENT_PRESETS), ['earth', 'moon', 'mars', 'jupiter', 'water', 'vacuum', 'custom']);
+  });
+});
@@ -0,0 +1,70 @@
+// Shared CSV/JSON export for the time series the simulators record: each
+// simulator passes its samples as rows plus column descriptions, and gets
+// a CSV or JSON file with the units in the headers.
+(function (root) {
+  'use strict';
+
+  // A column is { key, label, unit } or { label, unit, value: row => number }
+  function header(column) {
+    return column.unit ? `${column.label} (${column.unit})` : column.label;
+  }
+
+  function cell(row, column) {
+    const value = column.value ? column.value(row) : row[column.key];
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    return value ?? null;
+  }
+
+  function csvField(value) {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // One header row with units, one line per sample; missing and
+  // non-finite values are left empty so spreadsheets read them as blanks
+  function toCSV(rows, columns) {
+    const lines = [columns.map(column => csvField(header(column))).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => csvField(cell(row, column))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // Records keyed by the same headers as the CSV, so
+  // pandas.DataFrame(data['rows']) gives identical columns
+  function toJSON(rows, columns, meta = {}) {
+    return JSON.stringify({
+      ...meta,
+      exported: new Date().toISOString(),
+      columns: columns.map(column => ({ name: header(column), unit: column.unit || null })),
+      rows: rows.map(row => Object.fromEntries(columns.map(column => [header(column), cell(row, column)])))
+    }, null, 2);
+  }
+
+  function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Download `rows` as `<name>.csv` or `<name>.json`; returns false when there is nothing to export
+  function exportSeries(format, name, rows, columns, meta) {
+    if (!rows.length) return false;
+    if (format === 'json') {
+      download(`${name}.json`, toJSON(rows, columns, meta), 'application/json');
+    } else {
+      download(`${name}.csv`, toCSV(rows, columns), 'text/csv');
+    }
+    return true;
+  }
+
+  const DataExport = { header, toCSV, toJSON, download, exportSeries };
+  if (typeof module === 'object' && module.exports) module.exports = DataExport;
+  else root.DataExport = DataExport;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import DataExport from './data-export.js';
+
+const columns = [
+  { key: 't', label: 't', unit: 's' },
+  { key: 'y', label: 'y', unit: 'm' },
+  { label: 'speed', unit: 'm/s', value: row => Math.hypot(row.vx, row.vy) },
+  { key: 'note', label: 'note' }
+];
+const rows = [
+  { t: 0, y: 1.5, vx: 3, vy: 4, note: 'launch' },
+  { t: 0.1, y: NaN, vx: 0, vy: 0, note: 'a, "b"' }
+];
+
+describe('CSV export', () => {
+  it('writes units in the header row', () => {
+    const [head] = DataExport.toCSV(rows, columns).split('\r\n');
+    assert.equal(head, 't (s),y (m),speed (m/s),note');
+  });
+
+  it('writes one line per sample with computed columns', () => {
+    const lines = DataExport.toCSV(rows, columns).split('\r\n');
+    assert.equal(lines[1], '0,1.5,5,launch');
+    assert.equal(lines.length, 4);
+    assert.equal(lines[3], '');
+  });
+
+  it('leaves non-finite values empty and quotes text fields', () => {
+    const lines = DataExport.toCSV(rows, columns).split('\r\n');
+    assert.equal(lines[2], '0.1,,0,"a, ""b"""');
+  });
+});
+
+describe('JSON export', () => {
+  it('lists columns with units and keys records by header', () => {
+    const data = JSON.parse(DataExport.toJSON(rows, columns, { source: 'test' }));
+    assert.equal(data.source, 'test');
+    assert.deepEqual(data.columns[2], { name: 'speed (m/s)', unit: 'm/s' });
+    assert.deepEqual(data.columns[3], { name: 'note', unit: null });
+    assert.deepEqual(data.rows[0], { 't (s)': 0, 'y (m)': 1.5, 'speed (m/s)': 5, note: 'launch' });
+    assert.equal(data.rows[1]['y (m)'], null);
+  });
+});